@@ -1,4 +1,4 @@
-import React, { useState, createContext, useContext } from 'react';
+import React, { useState, useRef, useEffect, createContext, useContext } from 'react';
 import PropTypes from 'prop-types';
 import './Checkbox.css';
 
@@ -51,6 +51,14 @@ const Checkbox = ({
 }) => {
   const context = useContext(CheckboxContext);
   const isInGroup = context !== null;
+  const inputRef = useRef(null);
+
+  // Mirror the indeterminate state on the native input so assistive tech reports "mixed"
+  useEffect(() => {
+    if (inputRef.current) {
+      inputRef.current.indeterminate = indeterminate;
+    }
+  }, [indeterminate]);
 
   // Handle group-controlled state
   const isChecked = isInGroup
@@ -81,12 +89,13 @@ const Checkbox = ({
       htmlFor={inputId}
     >
       <input
+        ref={inputRef}
         type="checkbox"
         id={inputId}
         name={isInGroup ? context.name : name}
         value={value}
         checked={isChecked}
-        defaultChecked={!isInGroup ? defaultChecked : undefined}
+        defaultChecked={!isInGroup && isChecked === undefined ? defaultChecked : undefined}
         onChange={handleChange}
         disabled={disabled || (isInGroup && context.disabled)}
         required={required || (isInGroup && context.required)}
@@ -143,7 +152,7 @@ Checkbox.propTypes = {
   defaultChecked: PropTypes.bool,
   /** Change handler */
   onChange: PropTypes.func,
-  /** Indeterminate state (visual only, overrides checked icon) */
+  /** Indeterminate state (overrides checked icon) */
   indeterminate: PropTypes.bool,
   /** Whether the checkbox is disabled */
   disabled: PropTypes.bool,
@@ -1,16 +1,277 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useCallback,
+  useMemo,
+  useId,
+  createContext,
+  useContext,
+} from 'react';
 import PropTypes from 'prop-types';
+import Kbd from '../Kbd/Kbd.jsx';
+import Portal from '../Portal/Portal.jsx';
+import { usePosition } from '../Portal/usePosition.js';
 import './Menu.css';
 
+// How long the pointer may travel from a submenu trigger towards its submenu
+const SUBMENU_GRACE_TIMEOUT = 300;
+// Extends the grace area behind the exit point to absorb small pointer wobbles
+const SUBMENU_GRACE_BLEED = 5;
+// Keys typed within this many ms build one type-ahead search
+const TYPEAHEAD_TIMEOUT = 500;
+
+/**
+ * Menu state shared with items and submenus: `close` closes the whole menu,
+ * `layersRef` holds submenu elements (rendered in their own portals) that
+ * count as inside the menu for click-outside
+ */
+const MenuContext = createContext({ close: undefined, layersRef: null });
+
+/**
+ * State of the nearest Menu.Sub
+ */
+const SubMenuContext = createContext(null);
+
+/**
+ * Value of the nearest Menu.RadioGroup
+ */
+const RadioGroupContext = createContext(null);
+
+/**
+ * Ray casting - whether a point lies inside a polygon
+ */
+const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Enabled items of one menu element - separators and labels aren't items, and
+ * submenu items live in other portals
+ */
+const getMenuItems = (menuNode) => Array.from(menuNode?.querySelectorAll('[role^="menuitem"]') || [])
+  .filter((item) => !item.disabled && item.getAttribute('aria-disabled') !== 'true');
+
+const focusFirstItem = (menuNode) => {
+  getMenuItems(menuNode)[0]?.focus();
+};
+
+/**
+ * Next item whose label starts with the typed text. Repeating one character
+ * cycles through the items starting with it.
+ */
+const findTypeaheadItem = (items, current, typeahead, char) => {
+  clearTimeout(typeahead.timer);
+  typeahead.text += char.toLowerCase();
+  typeahead.timer = setTimeout(() => {
+    typeahead.text = '';
+  }, TYPEAHEAD_TIMEOUT);
+
+  const { text } = typeahead;
+  const isRepeat = [...text].every((c) => c === text[0]);
+  const query = isRepeat ? text[0] : text;
+  const start = isRepeat ? current + 1 : Math.max(current, 0);
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[(start + i) % items.length];
+    const label = item.querySelector('.l100-menu__item-label') || item;
+    if (label.textContent.trim().toLowerCase().startsWith(query)) return item;
+  }
+  return null;
+};
+
+/**
+ * Roving focus within one menu level: ArrowUp/ArrowDown (wrapping), Home/End
+ * and type-ahead. Keys bubbling up from a nested submenu are left alone.
+ * Returns whether the key was handled.
+ */
+const handleMenuNavigation = (e, menuNode, typeahead) => {
+  if (!menuNode?.contains(e.target)) return false;
+
+  const items = getMenuItems(menuNode);
+  if (items.length === 0) return false;
+
+  const current = items.indexOf(document.activeElement);
+  let next = null;
+  switch (e.key) {
+    case 'ArrowDown':
+      next = items[(current + 1) % items.length];
+      break;
+    case 'ArrowUp':
+      next = items[current <= 0 ? items.length - 1 : current - 1];
+      break;
+    case 'Home':
+      next = items[0];
+      break;
+    case 'End':
+      next = items[items.length - 1];
+      break;
+    default: {
+      const isPrintable = e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey;
+      // Space activates the item unless it continues a search
+      if (!isPrintable || (e.key === ' ' && !typeahead.text)) return false;
+      next = findTypeaheadItem(items, current, typeahead, e.key);
+    }
+  }
+
+  next?.focus();
+  return true;
+};
+
+/**
+ * Type-ahead buffer for one menu level
+ */
+const useTypeahead = () => {
+  const typeaheadRef = useRef({ text: '', timer: null });
+  useEffect(() => () => clearTimeout(typeaheadRef.current.timer), []);
+  return typeaheadRef;
+};
+
+const isMacPlatform = () => typeof navigator !== 'undefined' && /Mac|iPod|iPhone|iPad/.test(navigator.platform);
+
+/**
+ * Modifier keys a shortcut needs on this platform - `cmd` is ⌘ on Mac and
+ * Ctrl elsewhere, and `ctrl` only applies off Mac (as in Kbd.Shortcut)
+ */
+const getShortcutModifiers = ({ cmd = false, ctrl = false, alt = false, shift = false }) => {
+  const isMac = isMacPlatform();
+  return {
+    meta: cmd && isMac,
+    ctrl: (cmd || ctrl) && !isMac,
+    alt,
+    shift,
+  };
+};
+
+const matchesShortcut = (event, shortcut) => {
+  const modifiers = getShortcutModifiers(shortcut);
+  return event.key.toLowerCase() === shortcut.key.toLowerCase() &&
+    event.metaKey === modifiers.meta &&
+    event.ctrlKey === modifiers.ctrl &&
+    event.altKey === modifiers.alt &&
+    event.shiftKey === modifiers.shift;
+};
+
+/**
+ * aria-keyshortcuts value, e.g. "Control+Shift+K"
+ */
+const formatKeyShortcut = (shortcut) => {
+  const modifiers = getShortcutModifiers(shortcut);
+  return [
+    modifiers.ctrl && 'Control',
+    modifiers.meta && 'Meta',
+    modifiers.alt && 'Alt',
+    modifiers.shift && 'Shift',
+    shortcut.key.length === 1 ? shortcut.key.toUpperCase() : shortcut.key,
+  ].filter(Boolean).join('+');
+};
+
+const isTextInput = (node) => node?.closest?.('input, textarea, select, [contenteditable="true"]');
+
+/**
+ * Enabled Menu.Items with a shortcut and an onClick, anywhere in the element
+ * tree (including submenus, which aren't mounted while the menu is closed)
+ */
+const collectShortcutItems = (children, items = []) => {
+  React.Children.forEach(children, (child) => {
+    if (!React.isValidElement(child)) return;
+    const { shortcut, onClick, disabled } = child.props;
+    if (child.type === Menu.Item && shortcut && onClick && !disabled) {
+      items.push({ shortcut, onClick });
+    }
+    collectShortcutItems(child.props.children, items);
+  });
+  return items;
+};
+
+/**
+ * Run item shortcuts from anywhere on the page while the menu is mounted
+ */
+const useGlobalShortcuts = (enabled, children, isOpen, close) => {
+  const latestRef = useRef(null);
+  latestRef.current = { children, isOpen, close };
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || event.repeat) return;
+      const { children: currentChildren, isOpen: open, close: closeMenu } = latestRef.current;
+      const item = collectShortcutItems(currentChildren).find(({ shortcut }) => matchesShortcut(event, shortcut));
+      if (!item) return;
+
+      // Plain keys belong to whatever the user is typing in
+      const hasModifier = event.metaKey || event.ctrlKey || event.altKey;
+      if (!hasModifier && isTextInput(event.target)) return;
+
+      event.preventDefault();
+      item.onClick();
+      if (open) closeMenu();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+/**
+ * Close an open menu on Escape, or on a mousedown outside it (`isInside`
+ * decides, since content and submenus are portalled elsewhere)
+ */
+const useDismiss = (isOpen, close, isInside) => {
+  const isInsideRef = useRef(isInside);
+  isInsideRef.current = isInside;
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (!isInsideRef.current(event.target)) {
+        close({ restoreFocus: false });
+      }
+    };
+    // Mark Escape as handled, so layers below (a Modal) leave it alone
+    const handleEscape = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        close();
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleEscape);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleEscape);
+    };
+  }, [isOpen, close]);
+};
+
 /**
  * Menu Component - Dropdown menu for navigation and actions
  *
  * Features:
  * - Dropdown menu with trigger button
- * - Support for menu items with icons
- * - Keyboard navigation (arrow keys, escape, enter)
+ * - Support for menu items with icons and keyboard shortcut hints, optionally
+ *   registered as page-wide shortcuts (globalShortcuts)
+ * - Checkbox and radio items for toggles and single choices, optionally keeping
+ *   the menu open after a change
+ * - Keyboard navigation (WAI-ARIA menu button): focus moves to the first item on
+ *   open, arrow keys and Home/End move between enabled items, typing jumps to
+ *   an item by its label, and focus returns to the trigger on close
  * - Click outside to close
- * - Submenu support
+ * - Content renders in a portal and flips/shifts to stay in the viewport
+ * - Nested submenus (Menu.Sub) that open on hover or ArrowRight
+ * - Context menus (Menu.Context) that open at the pointer on right-click or Shift+F10
  * - Accessible with proper ARIA attributes
  *
  * @example
@@ -42,77 +303,245 @@ import './Menu.css';
  *     <Menu.Item disabled>Delete</Menu.Item>
  *   </Menu.Content>
  * </Menu>
+ *
+ * // Shortcut hints, also active while the menu is closed
+ * <Menu globalShortcuts>
+ *   <Menu.Trigger>Edit</Menu.Trigger>
+ *   <Menu.Content>
+ *     <Menu.Item onClick={copy} shortcut={{ key: 'c', cmd: true }}>Copy</Menu.Item>
+ *     <Menu.Item onClick={find} shortcut={{ key: 'f', cmd: true, shift: true }}>Find in files</Menu.Item>
+ *   </Menu.Content>
+ * </Menu>
+ *
+ * // Checkbox and radio items
+ * <Menu>
+ *   <Menu.Trigger>View</Menu.Trigger>
+ *   <Menu.Content>
+ *     <Menu.CheckboxItem checked={showTimestamps} onCheckedChange={setShowTimestamps} closeOnSelect={false}>
+ *       Show timestamps
+ *     </Menu.CheckboxItem>
+ *     <Menu.Separator />
+ *     <Menu.RadioGroup label="Sort by" value={sortBy} onValueChange={setSortBy}>
+ *       <Menu.RadioItem value="name">Name</Menu.RadioItem>
+ *       <Menu.RadioItem value="date">Date</Menu.RadioItem>
+ *     </Menu.RadioGroup>
+ *   </Menu.Content>
+ * </Menu>
+ *
+ * // Submenu
+ * <Menu>
+ *   <Menu.Trigger>File</Menu.Trigger>
+ *   <Menu.Content>
+ *     <Menu.Item onClick={handleNew}>New</Menu.Item>
+ *     <Menu.Sub>
+ *       <Menu.SubTrigger>Share</Menu.SubTrigger>
+ *       <Menu.SubContent>
+ *         <Menu.Item onClick={copyLink}>Copy link</Menu.Item>
+ *         <Menu.Item onClick={sendEmail}>Email</Menu.Item>
+ *       </Menu.SubContent>
+ *     </Menu.Sub>
+ *   </Menu.Content>
+ * </Menu>
+ *
+ * // Context menu - right-click (or Shift+F10) anywhere in the region
+ * <Menu.Context>
+ *   <ChatMessage message={message} />
+ *   <Menu.Content>
+ *     <Menu.Item onClick={reply}>Reply</Menu.Item>
+ *     <Menu.Item onClick={copyText}>Copy text</Menu.Item>
+ *   </Menu.Content>
+ * </Menu.Context>
+ *
+ * // Placement and width (flips to the other side when there is no room)
+ * <Menu>
+ *   <Menu.Trigger>Sort</Menu.Trigger>
+ *   <Menu.Content placement="bottom-start" matchWidth="min">
+ *     <Menu.Item onClick={sortByName}>Name</Menu.Item>
+ *   </Menu.Content>
+ * </Menu>
  */
-const Menu = ({ children, className = '', ...props }) => {
+const Menu = ({ children, globalShortcuts = false, className = '', ...props }) => {
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
+  const triggerRef = useRef(null);
+  const contentRef = useRef(null);
+  const layersRef = useRef(new Set());
+  // Item to focus when the content opens: 'first' or 'last'
+  const initialFocusRef = useRef('first');
+  const id = useId();
+  const triggerId = `${id}-trigger`;
+  const contentId = `${id}-content`;
 
-  // Close menu when clicking outside
-  useEffect(() => {
-    const handleClickOutside = (event) => {
-      if (menuRef.current && !menuRef.current.contains(event.target)) {
-        setIsOpen(false);
-      }
-    };
+  // Focus goes back to the trigger, unless the user clicked somewhere else
+  const close = useCallback(({ restoreFocus = true } = {}) => {
+    setIsOpen(false);
+    if (restoreFocus) triggerRef.current?.focus();
+  }, []);
+  const contextValue = useMemo(() => ({ close, layersRef }), [close]);
 
-    if (isOpen) {
-      document.addEventListener('mousedown', handleClickOutside);
+  const open = (initialFocus) => {
+    initialFocusRef.current = initialFocus;
+    setIsOpen(true);
+  };
+
+  // Enter and Space open through the click handler
+  const handleTriggerKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      open(e.key === 'ArrowUp' ? 'last' : 'first');
     }
+  };
 
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-    };
-  }, [isOpen]);
+  useDismiss(isOpen, close, (target) => [menuRef.current, contentRef.current, ...layersRef.current]
+    .some((node) => node?.contains(target)));
+  useGlobalShortcuts(globalShortcuts, children, isOpen, close);
 
-  // Close on escape key
-  useEffect(() => {
-    const handleEscape = (event) => {
-      if (event.key === 'Escape') {
-        setIsOpen(false);
-      }
-    };
+  return (
+    <MenuContext.Provider value={contextValue}>
+      <div
+        ref={menuRef}
+        className={['l100-menu', isOpen && 'l100-menu--open', className].filter(Boolean).join(' ')}
+        {...props}
+      >
+        {React.Children.map(children, (child) => {
+          if (!child) return null;
 
-    if (isOpen) {
-      document.addEventListener('keydown', handleEscape);
-    }
+          if (child.type === Menu.Trigger) {
+            return React.cloneElement(child, {
+              triggerRef,
+              id: triggerId,
+              onClick: () => (isOpen ? close() : open('first')),
+              onKeyDown: handleTriggerKeyDown,
+              'aria-expanded': isOpen,
+              'aria-haspopup': 'menu',
+              'aria-controls': isOpen ? contentId : undefined,
+            });
+          }
 
-    return () => {
-      document.removeEventListener('keydown', handleEscape);
-    };
-  }, [isOpen]);
+          if (child.type === Menu.Content) {
+            return isOpen ? React.cloneElement(child, {
+              onClose: close,
+              anchorRef: menuRef,
+              contentRef,
+              id: contentId,
+              'aria-labelledby': triggerId,
+              initialFocus: initialFocusRef.current,
+            }) : null;
+          }
 
-  return (
-    <div
-      ref={menuRef}
-      className={['l100-menu', isOpen && 'l100-menu--open', className].filter(Boolean).join(' ')}
-      {...props}
-    >
-      {React.Children.map(children, (child) => {
-        if (!child) return null;
-
-        if (child.type === Menu.Trigger) {
-          return React.cloneElement(child, {
-            onClick: () => setIsOpen(!isOpen),
-            'aria-expanded': isOpen,
-            'aria-haspopup': true,
-          });
-        }
-
-        if (child.type === Menu.Content) {
-          return isOpen ? React.cloneElement(child, {
-            onClose: () => setIsOpen(false),
-          }) : null;
-        }
-
-        return child;
-      })}
-    </div>
+          return child;
+        })}
+      </div>
+    </MenuContext.Provider>
   );
 };
 
 Menu.propTypes = {
   /** Menu trigger and content */
   children: PropTypes.node.isRequired,
+  /** Run item shortcuts (Menu.Item `shortcut`) anywhere on the page while the menu is mounted */
+  globalShortcuts: PropTypes.bool,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+/**
+ * Menu Context - Opens its Menu.Content as a context menu
+ *
+ * Wraps a region; right-clicking inside it opens the menu at the pointer,
+ * and Shift+F10 (or the ContextMenu key) opens it below the focused element.
+ * Focus moves into the menu and returns to the previously focused element
+ * on close.
+ */
+Menu.Context = ({ children, disabled = false, globalShortcuts = false, className = '', ...props }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  // Remounts the content, so opening again at another point repositions it
+  const [openCount, setOpenCount] = useState(0);
+  const anchorRef = useRef(null);
+  const contentRef = useRef(null);
+  const layersRef = useRef(new Set());
+  const returnFocusRef = useRef(null);
+
+  const close = useCallback(({ restoreFocus = true } = {}) => {
+    setIsOpen(false);
+    if (restoreFocus) returnFocusRef.current?.focus?.();
+  }, []);
+  const contextValue = useMemo(() => ({ close, layersRef }), [close]);
+
+  const isInsideMenu = (target) => [contentRef.current, ...layersRef.current]
+    .some((node) => node?.contains(target));
+
+  useDismiss(isOpen, close, isInsideMenu);
+  useGlobalShortcuts(globalShortcuts, children, isOpen, close);
+
+  // anchor: a DOM element, or a virtual one with just getBoundingClientRect()
+  const open = (anchor) => {
+    anchorRef.current = anchor;
+    // Reopening from inside the menu keeps the original element to return to
+    if (!isInsideMenu(document.activeElement)) returnFocusRef.current = document.activeElement;
+    setOpenCount((count) => count + 1);
+    setIsOpen(true);
+  };
+
+  // Events from the portalled menu bubble here through the React tree
+  const handleContextMenu = (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    if (isInsideMenu(e.target)) return;
+
+    // Keyboard-triggered contextmenu events carry no pointer position
+    const { clientX: x, clientY: y } = e;
+    if (x === 0 && y === 0) {
+      open(e.target);
+    } else {
+      const point = { x, y, top: y, bottom: y, left: x, right: x, width: 0, height: 0 };
+      open({ getBoundingClientRect: () => point });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (disabled || e.key !== 'F10' || !e.shiftKey || isInsideMenu(e.target)) return;
+    e.preventDefault();
+    open(e.target);
+  };
+
+  return (
+    <MenuContext.Provider value={contextValue}>
+      <div
+        className={['l100-menu-context', className].filter(Boolean).join(' ')}
+        onContextMenu={handleContextMenu}
+        onKeyDown={handleKeyDown}
+        {...props}
+      >
+        {React.Children.map(children, (child) => {
+          if (!child) return null;
+
+          if (child.type === Menu.Content) {
+            return isOpen ? React.cloneElement(child, {
+              key: openCount,
+              onClose: close,
+              anchorRef,
+              contentRef,
+              initialFocus: 'first',
+              placement: child.props.placement || 'bottom-start',
+              offset: child.props.offset ?? 0,
+            }) : null;
+          }
+
+          return child;
+        })}
+      </div>
+    </MenuContext.Provider>
+  );
+};
+
+Menu.Context.propTypes = {
+  /** Region that opens the menu, plus its Menu.Content */
+  children: PropTypes.node.isRequired,
+  /** Keep the browser's own context menu */
+  disabled: PropTypes.bool,
+  /** Run item shortcuts anywhere on the page while the region is mounted */
+  globalShortcuts: PropTypes.bool,
   /** Additional CSS classes */
   className: PropTypes.string,
 };
@@ -120,9 +549,10 @@ Menu.propTypes = {
 /**
  * Menu Trigger
  */
-Menu.Trigger = ({ children, onClick, ...props }) => {
+Menu.Trigger = ({ children, onClick, triggerRef, ...props }) => {
   return (
     <button
+      ref={triggerRef}
       type="button"
       className="l100-menu__trigger"
       onClick={onClick}
@@ -152,47 +582,145 @@ Menu.Trigger = ({ children, onClick, ...props }) => {
 Menu.Trigger.propTypes = {
   children: PropTypes.node.isRequired,
   onClick: PropTypes.func,
+  /** Ref to the button, for returning focus on close (set by Menu) */
+  triggerRef: PropTypes.object,
 };
 
 /**
  * Menu Content
  */
-Menu.Content = ({ children, onClose, className = '', ...props }) => {
+Menu.Content = ({
+  children,
+  onClose,
+  anchorRef,
+  contentRef,
+  placement = 'bottom-end',
+  offset = 4,
+  matchWidth = false,
+  portal = true,
+  initialFocus,
+  className = '',
+  style,
+  onKeyDown,
+  ...props
+}) => {
+  const localRef = useRef(null);
+  const ref = contentRef || localRef;
+  const typeaheadRef = useTypeahead();
+  // Without a Menu to anchor to, render in place
+  const isPortalled = portal && Boolean(anchorRef);
+
+  const { style: positionStyle, side } = usePosition({
+    anchorRef: anchorRef || localRef,
+    floatingRef: ref,
+    enabled: isPortalled,
+    placement,
+    offset,
+    matchWidth,
+  });
+
+  // Move focus into the menu when it opens (the content mounts on open)
+  useEffect(() => {
+    if (!initialFocus) return;
+    const items = getMenuItems(ref.current);
+    items[initialFocus === 'last' ? items.length - 1 : 0]?.focus();
+  }, []);
+
+  const handleKeyDown = (e) => {
+    onKeyDown?.(e);
+    if (e.defaultPrevented) return;
+
+    // Tab leaves the menu: closing returns focus to the trigger and the Tab continues from there
+    if (e.key === 'Tab') {
+      onClose?.();
+      return;
+    }
+
+    if (handleMenuNavigation(e, ref.current, typeaheadRef.current)) {
+      e.preventDefault();
+    }
+  };
+
   return (
-    <div
-      className={['l100-menu__content', className].filter(Boolean).join(' ')}
-      role="menu"
-      {...props}
-    >
-      {React.Children.map(children, (child) => {
-        if (!child) return null;
-
-        if (child.type === Menu.Item) {
-          return React.cloneElement(child, {
-            onClose,
-          });
-        }
-
-        return child;
-      })}
-    </div>
+    <Portal disabled={!isPortalled}>
+      <div
+        ref={ref}
+        className={[
+          'l100-menu__content',
+          isPortalled && 'l100-menu__content--portal',
+          className,
+        ].filter(Boolean).join(' ')}
+        style={isPortalled ? { ...positionStyle, ...style } : style}
+        data-side={isPortalled ? side : undefined}
+        role="menu"
+        onKeyDown={handleKeyDown}
+        {...props}
+      >
+        {React.Children.map(children, (child) => {
+          if (!child) return null;
+
+          if (child.type === Menu.Item || child.type === Menu.CheckboxItem) {
+            return React.cloneElement(child, {
+              onClose,
+            });
+          }
+
+          return child;
+        })}
+      </div>
+    </Portal>
   );
 };
 
 Menu.Content.propTypes = {
   children: PropTypes.node.isRequired,
   onClose: PropTypes.func,
+  /** Element to position against (set by Menu) */
+  anchorRef: PropTypes.object,
+  /** Ref to the content element (set by Menu) */
+  contentRef: PropTypes.object,
+  /** Preferred side and alignment, e.g. 'bottom-end' or 'top-start' */
+  placement: PropTypes.oneOf([
+    'top', 'top-start', 'top-end',
+    'bottom', 'bottom-start', 'bottom-end',
+    'left', 'left-start', 'left-end',
+    'right', 'right-start', 'right-end',
+  ]),
+  /** Gap between the trigger and the menu in px */
+  offset: PropTypes.number,
+  /** Match the trigger's width: true for the same width, 'min' for at least its width */
+  matchWidth: PropTypes.oneOf([true, false, 'min']),
+  /** Render in a portal so overflow: hidden parents don't clip the menu */
+  portal: PropTypes.bool,
+  /** Item to focus on open: 'first' or 'last' (set by Menu) */
+  initialFocus: PropTypes.oneOf(['first', 'last']),
   className: PropTypes.string,
+  style: PropTypes.object,
+  onKeyDown: PropTypes.func,
 };
 
 /**
  * Menu Item
  */
-Menu.Item = ({ children, icon, onClick, disabled = false, variant = 'default', onClose, className = '', ...props }) => {
+Menu.Item = ({
+  children,
+  icon,
+  shortcut,
+  onClick,
+  disabled = false,
+  variant = 'default',
+  onClose,
+  className = '',
+  ...props
+}) => {
+  const menu = useContext(MenuContext);
+  // Items inside submenus aren't cloned by Menu.Content - close through context
+  const close = onClose || menu.close;
+
   const handleClick = () => {
     if (!disabled && onClick) {
       onClick();
-      onClose?.();
+      close?.();
     }
   };
 
@@ -210,10 +738,24 @@ Menu.Item = ({ children, icon, onClick, disabled = false, variant = 'default', o
       onClick={handleClick}
       disabled={disabled}
       role="menuitem"
+      tabIndex={-1}
+      aria-keyshortcuts={shortcut ? formatKeyShortcut(shortcut) : undefined}
       {...props}
     >
       {icon && <span className="l100-menu__item-icon">{icon}</span>}
       <span className="l100-menu__item-label">{children}</span>
+      {shortcut && (
+        <Kbd.Shortcut
+          className="l100-menu__item-shortcut"
+          size="sm"
+          cmd={shortcut.cmd}
+          ctrl={shortcut.ctrl}
+          alt={shortcut.alt}
+          shift={shortcut.shift}
+        >
+          {shortcut.label || shortcut.key.toUpperCase()}
+        </Kbd.Shortcut>
+      )}
     </button>
   );
 };
@@ -221,6 +763,19 @@ Menu.Item = ({ children, icon, onClick, disabled = false, variant = 'default', o
 Menu.Item.propTypes = {
   children: PropTypes.node.isRequired,
   icon: PropTypes.node,
+  /**
+   * Keyboard shortcut shown at the end of the item: `key` is the KeyboardEvent
+   * key, `label` what to display instead of it (e.g. '⌫'), and the flags match
+   * Kbd.Shortcut. Active page-wide when the Menu has `globalShortcuts`.
+   */
+  shortcut: PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.node,
+    cmd: PropTypes.bool,
+    ctrl: PropTypes.bool,
+    alt: PropTypes.bool,
+    shift: PropTypes.bool,
+  }),
   onClick: PropTypes.func,
   disabled: PropTypes.bool,
   variant: PropTypes.oneOf(['default', 'danger']),
@@ -228,6 +783,432 @@ Menu.Item.propTypes = {
   className: PropTypes.string,
 };
 
+/**
+ * Check indicator shown before checkbox and radio items
+ */
+const ItemIndicator = ({ checked, type }) => (
+  <span className="l100-menu__item-indicator" aria-hidden="true">
+    {checked && (type === 'radio' ? (
+      <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+        <circle cx="6" cy="6" r="3" fill="currentColor" />
+      </svg>
+    ) : (
+      <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+        <path
+          d="M2.5 6.5L5 9L9.5 3.5"
+          stroke="currentColor"
+          strokeWidth="1.5"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      </svg>
+    ))}
+  </span>
+);
+
+/**
+ * Menu Checkbox Item - Item that toggles an option on and off
+ */
+Menu.CheckboxItem = ({
+  children,
+  checked = false,
+  onCheckedChange,
+  disabled = false,
+  closeOnSelect = true,
+  onClose,
+  className = '',
+  ...props
+}) => {
+  const menu = useContext(MenuContext);
+  const close = onClose || menu.close;
+
+  const handleClick = () => {
+    if (disabled) return;
+    onCheckedChange?.(!checked);
+    if (closeOnSelect) close?.();
+  };
+
+  const classes = [
+    'l100-menu__item',
+    'l100-menu__item--checkable',
+    checked && 'l100-menu__item--checked',
+    disabled && 'l100-menu__item--disabled',
+    className,
+  ].filter(Boolean).join(' ');
+
+  return (
+    <button
+      type="button"
+      className={classes}
+      onClick={handleClick}
+      disabled={disabled}
+      role="menuitemcheckbox"
+      aria-checked={checked}
+      tabIndex={-1}
+      {...props}
+    >
+      <ItemIndicator checked={checked} type="checkbox" />
+      <span className="l100-menu__item-label">{children}</span>
+    </button>
+  );
+};
+
+Menu.CheckboxItem.propTypes = {
+  /** Item label */
+  children: PropTypes.node.isRequired,
+  /** Whether the option is on */
+  checked: PropTypes.bool,
+  /** Called with the new checked state */
+  onCheckedChange: PropTypes.func,
+  disabled: PropTypes.bool,
+  /** Close the menu after toggling - set to false to toggle several options in a row */
+  closeOnSelect: PropTypes.bool,
+  onClose: PropTypes.func,
+  className: PropTypes.string,
+};
+
+/**
+ * Menu Radio Group - Set of Menu.RadioItems of which one is selected
+ */
+Menu.RadioGroup = ({ children, value, onValueChange, label, className = '', ...props }) => {
+  const labelId = useId();
+  const group = useMemo(() => ({ value, onValueChange }), [value, onValueChange]);
+
+  return (
+    <RadioGroupContext.Provider value={group}>
+      <div
+        className={['l100-menu__radio-group', className].filter(Boolean).join(' ')}
+        role="group"
+        aria-labelledby={label ? labelId : undefined}
+        {...props}
+      >
+        {label && <span id={labelId} className="l100-menu__label">{label}</span>}
+        {children}
+      </div>
+    </RadioGroupContext.Provider>
+  );
+};
+
+Menu.RadioGroup.propTypes = {
+  /** Menu.RadioItems */
+  children: PropTypes.node.isRequired,
+  /** Value of the selected item */
+  value: PropTypes.any,
+  /** Called with the value of the chosen item */
+  onValueChange: PropTypes.func,
+  /** Heading shown above the items and used as the group's accessible name */
+  label: PropTypes.node,
+  className: PropTypes.string,
+};
+
+/**
+ * Menu Radio Item - One choice of a Menu.RadioGroup
+ */
+Menu.RadioItem = ({
+  children,
+  value,
+  disabled = false,
+  closeOnSelect = true,
+  onClose,
+  className = '',
+  ...props
+}) => {
+  const menu = useContext(MenuContext);
+  const group = useContext(RadioGroupContext);
+  const close = onClose || menu.close;
+  const checked = group?.value === value;
+
+  const handleClick = () => {
+    if (disabled) return;
+    if (!checked) group?.onValueChange?.(value);
+    if (closeOnSelect) close?.();
+  };
+
+  const classes = [
+    'l100-menu__item',
+    'l100-menu__item--checkable',
+    checked && 'l100-menu__item--checked',
+    disabled && 'l100-menu__item--disabled',
+    className,
+  ].filter(Boolean).join(' ');
+
+  return (
+    <button
+      type="button"
+      className={classes}
+      onClick={handleClick}
+      disabled={disabled}
+      role="menuitemradio"
+      aria-checked={checked}
+      tabIndex={-1}
+      {...props}
+    >
+      <ItemIndicator checked={checked} type="radio" />
+      <span className="l100-menu__item-label">{children}</span>
+    </button>
+  );
+};
+
+Menu.RadioItem.propTypes = {
+  /** Item label */
+  children: PropTypes.node.isRequired,
+  /** Value passed to the group's onValueChange */
+  value: PropTypes.any.isRequired,
+  disabled: PropTypes.bool,
+  /** Close the menu after choosing - set to false to keep it open */
+  closeOnSelect: PropTypes.bool,
+  onClose: PropTypes.func,
+  className: PropTypes.string,
+};
+
+/**
+ * Menu Sub - Nested submenu
+ *
+ * Wraps a Menu.SubTrigger and Menu.SubContent. The submenu opens when the
+ * trigger is hovered, clicked or receives ArrowRight/Enter/Space, and closes
+ * on ArrowLeft/Escape (returning focus to the trigger) or when the pointer
+ * moves elsewhere. While the pointer travels from the trigger towards the
+ * submenu it may cross other items - inside that grace area the submenu
+ * stays open.
+ */
+Menu.Sub = ({ children }) => {
+  const [open, setOpen] = useState(false);
+  const triggerRef = useRef(null);
+  const contentRef = useRef(null);
+  const focusOnOpenRef = useRef(false);
+  const graceRef = useRef(null);
+  const id = useId();
+
+  const clearGrace = useCallback(() => {
+    if (!graceRef.current) return;
+    clearTimeout(graceRef.current.timer);
+    document.removeEventListener('pointermove', graceRef.current.onMove);
+    graceRef.current = null;
+  }, []);
+
+  useEffect(() => clearGrace, [clearGrace]);
+
+  const openSub = useCallback(({ focus = false } = {}) => {
+    clearGrace();
+    focusOnOpenRef.current = focus;
+    setOpen(true);
+  }, [clearGrace]);
+
+  const closeSub = useCallback(({ focusTrigger = false } = {}) => {
+    clearGrace();
+    setOpen(false);
+    if (focusTrigger) triggerRef.current?.focus();
+  }, [clearGrace]);
+
+  // Pointer left the trigger: keep the submenu open while the pointer stays in the
+  // polygon between the exit point and the submenu, for a short time at most
+  const startGrace = useCallback((event) => {
+    const content = contentRef.current;
+    if (!content) return;
+
+    const rect = content.getBoundingClientRect();
+    const towardsRight = rect.left >= event.clientX;
+    const nearX = towardsRight ? rect.left : rect.right;
+    const farX = towardsRight ? rect.right : rect.left;
+    const polygon = [
+      { x: event.clientX + (towardsRight ? -SUBMENU_GRACE_BLEED : SUBMENU_GRACE_BLEED), y: event.clientY },
+      { x: nearX, y: rect.top },
+      { x: farX, y: rect.top },
+      { x: farX, y: rect.bottom },
+      { x: nearX, y: rect.bottom },
+    ];
+
+    clearGrace();
+    const onMove = (e) => {
+      if (!isPointInPolygon({ x: e.clientX, y: e.clientY }, polygon)) closeSub();
+    };
+    document.addEventListener('pointermove', onMove);
+    graceRef.current = { onMove, timer: setTimeout(() => closeSub(), SUBMENU_GRACE_TIMEOUT) };
+  }, [clearGrace, closeSub]);
+
+  const value = useMemo(() => ({
+    open,
+    openSub,
+    closeSub,
+    startGrace,
+    clearGrace,
+    triggerRef,
+    contentRef,
+    focusOnOpenRef,
+    triggerId: `${id}-trigger`,
+    contentId: `${id}-content`,
+  }), [open, openSub, closeSub, startGrace, clearGrace, id]);
+
+  return <SubMenuContext.Provider value={value}>{children}</SubMenuContext.Provider>;
+};
+
+Menu.Sub.propTypes = {
+  /** Menu.SubTrigger and Menu.SubContent */
+  children: PropTypes.node.isRequired,
+};
+
+/**
+ * Menu Sub Trigger - Item that opens its submenu
+ */
+Menu.SubTrigger = ({ children, icon, disabled = false, className = '', ...props }) => {
+  const sub = useContext(SubMenuContext);
+
+  const handleKeyDown = (e) => {
+    if (disabled) return;
+    if (e.key === 'ArrowRight' || e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      e.stopPropagation();
+      sub.openSub({ focus: true });
+    }
+  };
+
+  const classes = [
+    'l100-menu__item',
+    'l100-menu__sub-trigger',
+    sub.open && 'l100-menu__item--open',
+    disabled && 'l100-menu__item--disabled',
+    className,
+  ].filter(Boolean).join(' ');
+
+  return (
+    <button
+      ref={sub.triggerRef}
+      type="button"
+      id={sub.triggerId}
+      className={classes}
+      onClick={() => !disabled && sub.openSub()}
+      onMouseEnter={() => !disabled && sub.openSub()}
+      onMouseLeave={(e) => sub.open && sub.startGrace(e)}
+      onKeyDown={handleKeyDown}
+      disabled={disabled}
+      role="menuitem"
+      tabIndex={-1}
+      aria-haspopup="menu"
+      aria-expanded={sub.open}
+      aria-controls={sub.open ? sub.contentId : undefined}
+      {...props}
+    >
+      {icon && <span className="l100-menu__item-icon">{icon}</span>}
+      <span className="l100-menu__item-label">{children}</span>
+      <svg
+        className="l100-menu__sub-icon"
+        width="12"
+        height="12"
+        viewBox="0 0 12 12"
+        fill="none"
+        aria-hidden="true"
+      >
+        <path
+          d="M4.5 2.5L8 6L4.5 9.5"
+          stroke="currentColor"
+          strokeWidth="1.5"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      </svg>
+    </button>
+  );
+};
+
+Menu.SubTrigger.propTypes = {
+  /** Item label */
+  children: PropTypes.node.isRequired,
+  /** Icon before the label */
+  icon: PropTypes.node,
+  /** Prevent opening the submenu */
+  disabled: PropTypes.bool,
+  className: PropTypes.string,
+};
+
+/**
+ * Menu Sub Content - Items of a submenu, placed beside its trigger
+ */
+Menu.SubContent = ({ children, placement = 'right-start', className = '', style, ...props }) => {
+  const sub = useContext(SubMenuContext);
+  const { layersRef } = useContext(MenuContext);
+  const { open, contentRef, triggerRef, focusOnOpenRef } = sub;
+  const typeaheadRef = useTypeahead();
+
+  const { style: positionStyle, side } = usePosition({
+    anchorRef: triggerRef,
+    floatingRef: contentRef,
+    enabled: open,
+    placement,
+    offset: 2,
+  });
+
+  // Register with the Menu so clicks in here don't count as outside
+  useEffect(() => {
+    const node = contentRef.current;
+    if (!open || !node || !layersRef) return undefined;
+    layersRef.current.add(node);
+    return () => layersRef.current.delete(node);
+  }, [open, contentRef, layersRef]);
+
+  useEffect(() => {
+    if (open && focusOnOpenRef.current) {
+      focusOnOpenRef.current = false;
+      focusFirstItem(contentRef.current);
+    }
+  }, [open, contentRef, focusOnOpenRef]);
+
+  if (!open) return null;
+
+  // Tab isn't handled here - it bubbles up to Menu.Content, which closes the whole menu
+  const handleKeyDown = (e) => {
+    // Only this level closes - the parent menu stays open
+    if (e.key === 'ArrowLeft' || e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      sub.closeSub({ focusTrigger: true });
+    } else if (handleMenuNavigation(e, contentRef.current, typeaheadRef.current)) {
+      e.preventDefault();
+    }
+  };
+
+  // Leaving for anywhere but the trigger closes; nested submenus are
+  // React children, so moving into them doesn't count as leaving
+  const handleMouseLeave = (e) => {
+    if (!triggerRef.current?.contains(e.relatedTarget)) {
+      sub.closeSub();
+    }
+  };
+
+  return (
+    <Portal>
+      <div
+        ref={contentRef}
+        id={sub.contentId}
+        className={[
+          'l100-menu__content',
+          'l100-menu__content--portal',
+          'l100-menu__sub-content',
+          className,
+        ].filter(Boolean).join(' ')}
+        style={{ ...positionStyle, ...style }}
+        data-side={side}
+        role="menu"
+        aria-labelledby={sub.triggerId}
+        onKeyDown={handleKeyDown}
+        onMouseEnter={sub.clearGrace}
+        onMouseLeave={handleMouseLeave}
+        {...props}
+      >
+        {children}
+      </div>
+    </Portal>
+  );
+};
+
+Menu.SubContent.propTypes = {
+  /** Submenu items */
+  children: PropTypes.node.isRequired,
+  /** Preferred side - flips to the other side when there is no room */
+  placement: PropTypes.oneOf(['right', 'right-start', 'right-end', 'left', 'left-start', 'left-end']),
+  className: PropTypes.string,
+  style: PropTypes.object,
+};
+
 /**
  * Menu Separator
  */
@@ -1,17 +1,61 @@
-import React, { useEffect } from 'react';
+import React, {
+  useState,
+  useRef,
+  useEffect,
+  useId,
+  useMemo,
+  useCallback,
+  createContext,
+  useContext,
+} from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+import Portal, { PortalContainerContext } from '../Portal/Portal.jsx';
+import { useFocusTrap } from './useFocusTrap.js';
+import { useModalStack } from './useModalStack.js';
 import './Modal.css';
 
+/**
+ * Lets ModalHeader and ModalBody name and describe the dialog
+ */
+const ModalContext = createContext(null);
+
+/**
+ * Register a header/body id with the Modal while mounted
+ */
+const useRegisterId = (register, id) => {
+  useIsomorphicLayoutEffect(() => {
+    if (!register) return undefined;
+    register(id);
+    return () => register(null);
+  }, [register, id]);
+};
+
 /**
  * Modal Component
  * 
  * A flexible dialog component for overlays, confirmations, and content presentation.
  * 
+ * Accessibility: focus moves into the dialog on open and is trapped there
+ * (Tab wraps around), returns to the element that opened it on close, and
+ * the rest of the page is made inert and hidden from screen readers.
+ * ModalHeader names the dialog (aria-labelledby) and ModalBody describes it
+ * (aria-describedby).
+ * 
+ * Modals render in a portal on document.body and can be stacked or nested
+ * (e.g. a confirmation opened from a form modal): only the topmost one
+ * closes on Escape or a backdrop click, body scroll stays locked until the
+ * last one closes, and later modals stack above earlier ones. Portals
+ * opened from inside a modal (Select and Menu dropdowns, nested modals)
+ * render into the modal's root, so they are not made inert with the page.
+ * 
  * @param {boolean} isOpen - Controls modal visibility
  * @param {function} onClose - Called when modal should close (backdrop click, escape key)
  * @param {string} size - 'small' | 'medium' | 'large' | 'fullscreen'
  * @param {boolean} closeOnBackdrop - Close when clicking the backdrop (default: true)
  * @param {boolean} closeOnEscape - Close when pressing Escape key (default: true)
  * @param {boolean} showCloseButton - Show X button in header (default: true)
+ * @param {Object} initialFocusRef - Element to focus on open (default: first focusable element). Read once
+ *   when the modal opens - the element must be rendered with the first render of the modal content
  * @param {ReactNode} children - Modal content
  * @param {string} className - Additional CSS classes
  */
@@ -22,40 +66,63 @@ export default function Modal({
   closeOnBackdrop = true,
   closeOnEscape = true,
   showCloseButton = true,
+  initialFocusRef,
   children,
   className = '',
   ...props
 }) {
+  const { isTopmost, zIndex } = useModalStack(isOpen);
+  // Wraps the backdrop and the portals opened from the dialog (dropdowns,
+  // menus, nested modals) - everything outside it is made inert
+  const rootRef = useRef(null);
+  const [root, setRoot] = useState(null);
+  const handleRootRef = useCallback((node) => {
+    rootRef.current = node;
+    setRoot(node);
+  }, []);
+  const dialogRef = useRef(null);
+  const baseId = useId();
+  const [labelledBy, setLabelledBy] = useState(null);
+  const [describedBy, setDescribedBy] = useState(null);
+
+  const contextValue = useMemo(() => ({
+    titleId: `${baseId}-title`,
+    descriptionId: `${baseId}-description`,
+    setLabelledBy,
+    setDescribedBy,
+  }), [baseId]);
+
+  // Also takes the rest of the page (everything outside the backdrop) out of reach
+  const { onKeyDown: handleFocusTrapKeyDown } = useFocusTrap({
+    containerRef: dialogRef,
+    enabled: isOpen,
+    initialFocusRef,
+    inertOutsideRef: rootRef,
+  });
+
   // Handle escape key
   useEffect(() => {
     if (!isOpen || !closeOnEscape) return;
 
+    // Every open modal listens - only the topmost one closes. Layers above it
+    // (an open Select or Menu) handle Escape first and mark it as handled; a
+    // key pressed in a portalled layer outside the dialog is left to that layer.
+    // Listening on window runs after their document listeners.
     const handleEscape = (e) => {
-      if (e.key === 'Escape') {
-        onClose?.();
-      }
+      if (e.key !== 'Escape' || e.defaultPrevented || !isTopmost()) return;
+      const isPageLevel = e.target === document.body || e.target === document.documentElement;
+      if (!isPageLevel && !dialogRef.current?.contains(e.target)) return;
+      onClose?.();
     };
 
-    document.addEventListener('keydown', handleEscape);
-    return () => document.removeEventListener('keydown', handleEscape);
-  }, [isOpen, closeOnEscape, onClose]);
-
-  // Prevent body scroll when modal is open
-  useEffect(() => {
-    if (isOpen) {
-      document.body.style.overflow = 'hidden';
-    } else {
-      document.body.style.overflow = '';
-    }
-    return () => {
-      document.body.style.overflow = '';
-    };
-  }, [isOpen]);
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, closeOnEscape, onClose, isTopmost]);
 
   if (!isOpen) return null;
 
   const handleBackdropClick = (e) => {
-    if (closeOnBackdrop && e.target === e.currentTarget) {
+    if (closeOnBackdrop && e.target === e.currentTarget && isTopmost()) {
       onClose?.();
     }
   };
@@ -66,38 +133,67 @@ export default function Modal({
     className,
   ].filter(Boolean).join(' ');
 
+  // Key events from a nested modal bubble up through the React tree - leave them to it
+  const handleKeyDown = (e) => {
+    if (isTopmost()) handleFocusTrapKeyDown(e);
+  };
+
   return (
-    <div 
-      className="l100-modal__backdrop" 
-      onClick={handleBackdropClick}
-      role="dialog"
-      aria-modal="true"
-    >
-      <div className={classes} {...props}>
-        {showCloseButton && (
-          <button 
-            className="l100-modal__close" 
-            onClick={onClose}
-            aria-label="Close modal"
+    <Portal>
+      <div ref={handleRootRef} className="l100-modal__root">
+        <div 
+          className="l100-modal__backdrop" 
+          style={{ zIndex }}
+          onClick={handleBackdropClick}
+        >
+          <div
+            ref={dialogRef}
+            className={classes}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={labelledBy || undefined}
+            aria-describedby={describedBy || undefined}
+            tabIndex={-1}
+            onKeyDown={handleKeyDown}
+            {...props}
           >
-            ×
-          </button>
-        )}
-        {children}
+            {showCloseButton && (
+              <button 
+                type="button"
+                className="l100-modal__close" 
+                onClick={onClose}
+                aria-label="Close modal"
+              >
+                ×
+              </button>
+            )}
+            <ModalContext.Provider value={contextValue}>
+              <PortalContainerContext.Provider value={root}>
+                {children}
+              </PortalContainerContext.Provider>
+            </ModalContext.Provider>
+          </div>
+        </div>
       </div>
-    </div>
+    </Portal>
   );
 }
 
 /**
  * ModalHeader Component
  * 
+ * Its content becomes the dialog's accessible name.
+ * 
  * @param {ReactNode} children - Header content
  * @param {string} className - Additional CSS classes
  */
-export function ModalHeader({ children, className = '', ...props }) {
+export function ModalHeader({ children, className = '', id, ...props }) {
+  const modal = useContext(ModalContext);
+  const headerId = id || modal?.titleId;
+  useRegisterId(modal?.setLabelledBy, headerId);
+
   return (
-    <div className={`l100-modal__header ${className}`} {...props}>
+    <div id={headerId} className={`l100-modal__header ${className}`} {...props}>
       {children}
     </div>
   );
@@ -106,12 +202,18 @@ export function ModalHeader({ children, className = '', ...props }) {
 /**
  * ModalBody Component
  * 
+ * Its content becomes the dialog's accessible description.
+ * 
  * @param {ReactNode} children - Body content
  * @param {string} className - Additional CSS classes
  */
-export function ModalBody({ children, className = '', ...props }) {
+export function ModalBody({ children, className = '', id, ...props }) {
+  const modal = useContext(ModalContext);
+  const bodyId = id || modal?.descriptionId;
+  useRegisterId(modal?.setDescribedBy, bodyId);
+
   return (
-    <div className={`l100-modal__body ${className}`} {...props}>
+    <div id={bodyId} className={`l100-modal__body ${className}`} {...props}>
       {children}
     </div>
   );
@@ -0,0 +1,71 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import Modal, { ModalBody } from './Modal.jsx';
+import Select from '../Select/Select.jsx';
+import Portal from '../Portal/Portal.jsx';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const options = [
+  { value: 'opus', label: 'Opus' },
+  { value: 'haiku', label: 'Haiku' },
+];
+
+const isHidden = (node) => Boolean(node.closest('[inert], [aria-hidden="true"]'));
+
+describe('Modal', () => {
+  let root;
+  let container;
+  let page;
+
+  beforeEach(() => {
+    page = document.body.appendChild(document.createElement('main'));
+    container = document.body.appendChild(document.createElement('div'));
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    page.remove();
+  });
+
+  const renderModal = (children) => {
+    act(() => root.render(createElement(Modal, { isOpen: true, onClose: () => {} },
+      createElement(ModalBody, null, children))));
+  };
+
+  it('makes the rest of the page inert while open', () => {
+    renderModal('Content');
+    expect(isHidden(page)).toBe(true);
+    expect(isHidden(document.querySelector('[role="dialog"]'))).toBe(false);
+  });
+
+  it('keeps portals rendered with the dialog out of the inert page', () => {
+    renderModal(createElement(Portal, null, createElement('div', { className: 'popover' }, 'Layer')));
+    const layer = document.querySelector('.popover');
+    expect(layer.parentElement).not.toBe(document.body);
+    expect(isHidden(layer)).toBe(false);
+  });
+
+  it('keeps the dropdown of a Select inside the dialog reachable', () => {
+    let value = null;
+    renderModal(createElement(Select, { value, onChange: (next) => { value = next; }, options }));
+
+    const combobox = document.querySelector('[role="combobox"]');
+    act(() => {
+      combobox.focus();
+      combobox.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    });
+
+    const listbox = document.querySelector('[role="listbox"]');
+    expect(listbox).not.toBeNull();
+    expect(listbox.hasAttribute('inert')).toBe(false);
+    expect(isHidden(listbox)).toBe(false);
+
+    act(() => listbox.querySelector('[role="option"]').click());
+    expect(value).toBe('opus');
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * useFocusTrap Hook
+ *
+ * Keeps keyboard focus inside a dialog while it is active: focus moves in
+ * when it activates (to `initialFocusRef`, else the first tabbable element,
+ * else the container itself), Tab and Shift+Tab wrap around at the ends,
+ * and focus goes back to the previously focused element on deactivation.
+ * With `inertOutsideRef`, everything outside that element is made inert
+ * and hidden from screen readers while active.
+ *
+ * The container needs `tabIndex={-1}` so it can hold focus when it has no
+ * tabbable content. The trap works on key events, so content rendered in a
+ * Portal from inside the dialog (dropdowns, menus) is still reachable with
+ * the keyboard. With `inertOutsideRef`, render such content inside that
+ * element, or it is made inert too (Modal points its portals at its root).
+ *
+ * @example
+ * const dialogRef = useRef(null);
+ * const { onKeyDown } = useFocusTrap({ containerRef: dialogRef, enabled: isOpen, initialFocusRef: nameInputRef });
+ * <div ref={dialogRef} role="dialog" tabIndex={-1} onKeyDown={onKeyDown}>...</div>
+ */
+import { useRef } from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+
+const TABBABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]',
+  '[contenteditable="true"]',
+].join(', ');
+
+/**
+ * Elements reachable with Tab, in DOM order (skips hidden and inert ones)
+ */
+const getTabbableElements = (container) => Array.from(container.querySelectorAll(TABBABLE_SELECTOR))
+  .filter((node) => node.tabIndex >= 0 && !node.closest('[inert]') && node.getClientRects().length > 0);
+
+/**
+ * Hide everything outside `node` from assistive technology and make it
+ * unfocusable: sets `inert` and `aria-hidden` on the siblings of `node` and
+ * of each of its ancestors. Live regions (toasts) stay announced.
+ * @returns {function} Restores the previous attribute values
+ */
+const hideOthers = (node) => {
+  const changed = [];
+
+  for (let current = node; current?.parentElement && current !== document.body; current = current.parentElement) {
+    Array.from(current.parentElement.children).forEach((sibling) => {
+      if (sibling === current || sibling.matches('script, style, [aria-live]')) return;
+      changed.push({
+        element: sibling,
+        ariaHidden: sibling.getAttribute('aria-hidden'),
+        inert: sibling.hasAttribute('inert'),
+      });
+      sibling.setAttribute('aria-hidden', 'true');
+      sibling.setAttribute('inert', '');
+    });
+  }
+
+  return () => {
+    changed.forEach(({ element, ariaHidden, inert }) => {
+      if (ariaHidden === null) element.removeAttribute('aria-hidden');
+      else element.setAttribute('aria-hidden', ariaHidden);
+      if (!inert) element.removeAttribute('inert');
+    });
+  };
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.containerRef - Ref to the dialog element
+ * @param {boolean} options.enabled - Trap focus while true
+ * @param {Object} options.initialFocusRef - Element to focus on activation (read on activation only)
+ * @param {boolean} options.restoreFocus - Return focus to the previously focused element (default: true)
+ * @param {Object} options.inertOutsideRef - Make the page outside this element (e.g. a backdrop) inert
+ *   (read on activation only - later changes to the ref are not picked up)
+ * @returns {Object} { onKeyDown } handler for the container
+ */
+export function useFocusTrap({
+  containerRef,
+  enabled = true,
+  initialFocusRef,
+  restoreFocus = true,
+  inertOutsideRef,
+}) {
+  // Options can change while active - read the latest on deactivation
+  const restoreFocusRef = useRef(restoreFocus);
+  restoreFocusRef.current = restoreFocus;
+
+  // Before paint, so the opener never shows a focus ring for a frame. Runs on
+  // activation only - the refs are read at that moment.
+  useIsomorphicLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container) return undefined;
+
+    // Remember the opener before it turns inert (which can blur it)
+    const previouslyFocused = document.activeElement;
+    const showOthers = inertOutsideRef?.current ? hideOthers(inertOutsideRef.current) : null;
+    const target = initialFocusRef?.current || getTabbableElements(container)[0] || container;
+    target.focus();
+
+    return () => {
+      // Inert elements can't take focus - restore the page first
+      showOthers?.();
+      if (restoreFocusRef.current && previouslyFocused?.isConnected) {
+        previouslyFocused.focus?.();
+      }
+    };
+  }, [enabled]);
+
+  const onKeyDown = (e) => {
+    const container = containerRef.current;
+    if (!enabled || e.key !== 'Tab' || e.defaultPrevented || !container) return;
+
+    const tabbables = getTabbableElements(container);
+    if (tabbables.length === 0) {
+      e.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = tabbables[0];
+    const last = tabbables[tabbables.length - 1];
+    const active = document.activeElement;
+    // Focus on the container itself, or in a portal rendered from inside the dialog
+    const isOutside = active === container || !container.contains(active);
+
+    if (e.shiftKey && (active === first || isOutside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || isOutside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  return { onKeyDown };
+}
+
+export default useFocusTrap;
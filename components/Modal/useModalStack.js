@@ -0,0 +1,79 @@
+/**
+ * useModalStack Hook
+ *
+ * Registers an open modal in a page-wide stack, so stacked and nested
+ * modals cooperate:
+ * - only the topmost modal reacts to Escape and backdrop clicks
+ * - body scroll stays locked until the last modal closes (reference
+ *   counted, and the page's own overflow value is restored)
+ * - each modal gets a z-index by its depth in the stack, kept below the
+ *   floating dropdowns and menus (1100) so those still open above modals
+ *
+ * @example
+ * const { isTopmost, zIndex } = useModalStack(isOpen);
+ * const handleEscape = () => isTopmost() && onClose();
+ * <div className="my-dialog__backdrop" style={{ zIndex }}>...</div>
+ */
+import { useState, useRef, useCallback } from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+
+const BASE_Z_INDEX = 1000;
+// Floating elements (Select and Menu dropdowns) use 1100
+const MAX_Z_INDEX = 1099;
+
+// Open modals, bottom first
+const stack = [];
+let scrollLockCount = 0;
+let previousOverflow = '';
+
+const lockScroll = () => {
+  if (scrollLockCount === 0) {
+    previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+  }
+  scrollLockCount += 1;
+};
+
+const unlockScroll = () => {
+  scrollLockCount = Math.max(0, scrollLockCount - 1);
+  if (scrollLockCount === 0) {
+    document.body.style.overflow = previousOverflow;
+  }
+};
+
+/**
+ * @param {boolean} isOpen - Whether the modal is open (registered)
+ * @returns {Object} { isTopmost, depth, zIndex } - `isTopmost()` is read at
+ *   event time, so a modal opened later takes over immediately
+ */
+export function useModalStack(isOpen) {
+  // Identity of this modal in the stack
+  const entryRef = useRef({});
+  const [depth, setDepth] = useState(0);
+
+  // Before paint, so a new modal never flashes beneath the one below it
+  useIsomorphicLayoutEffect(() => {
+    if (!isOpen) return undefined;
+
+    const entry = entryRef.current;
+    stack.push(entry);
+    setDepth(stack.length - 1);
+    lockScroll();
+
+    return () => {
+      const index = stack.indexOf(entry);
+      if (index !== -1) stack.splice(index, 1);
+      unlockScroll();
+    };
+  }, [isOpen]);
+
+  const isTopmost = useCallback(() => stack[stack.length - 1] === entryRef.current, []);
+
+  return {
+    isTopmost,
+    depth,
+    zIndex: Math.min(BASE_Z_INDEX + depth, MAX_Z_INDEX),
+  };
+}
+
+export default useModalStack;
@@ -0,0 +1,87 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useModalStack } from './useModalStack.js';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Renders one hook per entry and keeps its latest result
+const renderModals = (openStates) => {
+  const results = openStates.map(() => ({}));
+  const Probe = ({ isOpen, result }) => {
+    Object.assign(result, useModalStack(isOpen));
+    return null;
+  };
+  const render = (states) => createElement('div', null, states.map((isOpen, index) => (
+    createElement(Probe, { key: index, isOpen, result: results[index] })
+  )));
+
+  const root = createRoot(document.createElement('div'));
+  act(() => root.render(render(openStates)));
+
+  return {
+    results,
+    rerender: (states) => act(() => root.render(render(states))),
+    unmount: () => act(() => root.unmount()),
+  };
+};
+
+describe('useModalStack', () => {
+  let view;
+
+  beforeEach(() => {
+    document.body.style.overflow = 'auto';
+  });
+
+  afterEach(() => {
+    view?.unmount();
+    view = null;
+  });
+
+  it('makes the last opened modal the topmost one', () => {
+    view = renderModals([true, false]);
+    const [first, second] = view.results;
+    expect(first.isTopmost()).toBe(true);
+
+    view.rerender([true, true]);
+    expect(first.isTopmost()).toBe(false);
+    expect(second.isTopmost()).toBe(true);
+
+    view.rerender([true, false]);
+    expect(first.isTopmost()).toBe(true);
+  });
+
+  it('stacks z-indexes by depth', () => {
+    view = renderModals([true, true]);
+    expect(view.results.map((result) => result.depth)).toEqual([0, 1]);
+    expect(view.results.map((result) => result.zIndex)).toEqual([1000, 1001]);
+  });
+
+  it('locks body scroll until the last modal closes, then restores it', () => {
+    view = renderModals([true, true]);
+    expect(document.body.style.overflow).toBe('hidden');
+
+    view.rerender([false, true]);
+    expect(document.body.style.overflow).toBe('hidden');
+
+    view.rerender([false, false]);
+    expect(document.body.style.overflow).toBe('auto');
+  });
+
+  it('unregisters modals that unmount while open', () => {
+    view = renderModals([true]);
+    const [modal] = view.results;
+    view.unmount();
+    view = null;
+
+    expect(modal.isTopmost()).toBe(false);
+    expect(document.body.style.overflow).toBe('auto');
+  });
+
+  it('does nothing while closed', () => {
+    view = renderModals([false]);
+    expect(view.results[0].isTopmost()).toBe(false);
+    expect(document.body.style.overflow).toBe('auto');
+  });
+});
@@ -0,0 +1,47 @@
+import { createContext, useContext } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+
+/**
+ * Default container for portals rendered below a provider. Modal provides
+ * its own root, so dropdowns opened from a dialog stay inside the part of
+ * the page it keeps interactive.
+ */
+export const PortalContainerContext = createContext(null);
+
+/**
+ * Portal Component - Render children elsewhere in the document
+ *
+ * Features:
+ * - Renders into `document.body` by default, or a given container
+ * - Inside a Modal, renders into the modal's root so the content is not
+ *   made inert with the rest of the page
+ * - Lets dropdowns and menus escape `overflow: hidden` parents (Card, Modal body)
+ * - React context and events still flow through the component tree
+ * - `disabled` renders the children in place
+ *
+ * Pair with `usePosition` to place the content next to its trigger.
+ *
+ * @example
+ * <Portal>
+ *   <div className="my-popover" style={style}>...</div>
+ * </Portal>
+ */
+const Portal = ({ children, container, disabled = false }) => {
+  const contextContainer = useContext(PortalContainerContext);
+  if (disabled) return children;
+  // Nothing to portal into during server rendering
+  if (typeof document === 'undefined') return null;
+  return createPortal(children, container || contextContainer || document.body);
+};
+
+Portal.propTypes = {
+  /** Content to render in the portal */
+  children: PropTypes.node,
+  /** DOM element to render into (defaults to the enclosing Modal's root, else document.body) */
+  container: PropTypes.object,
+  /** Render in place instead */
+  disabled: PropTypes.bool,
+};
+
+export default Portal;
@@ -0,0 +1,194 @@
+/**
+ * usePosition Hook
+ *
+ * Positions a floating element (dropdown, menu) next to an anchor with
+ * `position: fixed`, so it can live in a Portal and still follow its
+ * trigger. Flips to the opposite side when the preferred side has too
+ * little room, shifts along the edge to stay inside the viewport, and
+ * repositions on scroll (of any ancestor), resize and size changes.
+ *
+ * The anchor can also be a virtual element - any object with a
+ * `getBoundingClientRect()` method - e.g. to open a context menu at the
+ * pointer.
+ *
+ * The returned style also sets `--l100-available-height` - the room left on
+ * the chosen side - so CSS can cap the floating element's height with it.
+ *
+ * @example
+ * const { style, side } = usePosition({
+ *   anchorRef: triggerRef,
+ *   floatingRef: dropdownRef,
+ *   enabled: isOpen,
+ *   placement: 'bottom-start',
+ *   matchWidth: true,
+ * });
+ * <Portal><div ref={dropdownRef} style={style} data-side={side}>...</div></Portal>
+ */
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+
+export const AVAILABLE_HEIGHT_VAR = '--l100-available-height';
+
+const OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+const getViewport = () => ({
+  width: document.documentElement.clientWidth || window.innerWidth,
+  height: document.documentElement.clientHeight || window.innerHeight,
+});
+
+/**
+ * Work out the side and fixed-position style of a floating element
+ * @param {DOMRect} anchor - Anchor rect
+ * @param {Object} size - Natural { width, height } of the floating element
+ * @param {Object} options - placement, offset, padding, flip, shift, matchWidth
+ * @returns {Object} { side, style }
+ */
+export function computePosition(anchor, size, {
+  placement = 'bottom-start',
+  offset = 4,
+  padding = 8,
+  flip = true,
+  shift = true,
+  matchWidth = false,
+} = {}) {
+  const [preferredSide, align = 'center'] = placement.split('-');
+  const viewport = getViewport();
+  const width = matchWidth === true ? anchor.width : Math.max(size.width, matchWidth === 'min' ? anchor.width : 0);
+  const height = size.height;
+
+  const space = {
+    top: anchor.top - offset - padding,
+    bottom: viewport.height - anchor.bottom - offset - padding,
+    left: anchor.left - offset - padding,
+    right: viewport.width - anchor.right - offset - padding,
+  };
+
+  const isVertical = preferredSide === 'top' || preferredSide === 'bottom';
+  let side = preferredSide;
+  const needed = isVertical ? height : width;
+  if (flip && needed > space[side] && space[OPPOSITE_SIDE[side]] > space[side]) {
+    side = OPPOSITE_SIDE[side];
+  }
+
+  const style = { position: 'fixed', top: 'auto', right: 'auto', bottom: 'auto', left: 'auto' };
+
+  // Main axis: pin the edge next to the anchor, so a height cap never opens a gap
+  if (side === 'bottom') style.top = anchor.bottom + offset;
+  if (side === 'top') style.bottom = viewport.height - anchor.top + offset;
+  if (side === 'right') style.left = anchor.right + offset;
+  if (side === 'left') style.right = viewport.width - anchor.left + offset;
+
+  // Cross axis: align to the anchor, then shift back into the viewport
+  if (isVertical) {
+    let left = anchor.left + (anchor.width - width) / 2;
+    if (align === 'start') left = anchor.left;
+    if (align === 'end') left = anchor.right - width;
+    style.left = shift ? Math.max(padding, Math.min(left, viewport.width - width - padding)) : left;
+  } else {
+    let top = anchor.top + (anchor.height - height) / 2;
+    if (align === 'start') top = anchor.top;
+    if (align === 'end') top = anchor.bottom - height;
+    style.top = shift ? Math.max(padding, Math.min(top, viewport.height - height - padding)) : top;
+  }
+
+  if (matchWidth === true) style.width = anchor.width;
+  if (matchWidth === 'min') style.minWidth = anchor.width;
+
+  const availableHeight = isVertical ? space[side] : viewport.height - padding * 2;
+  style[AVAILABLE_HEIGHT_VAR] = `${Math.max(0, Math.floor(availableHeight))}px`;
+
+  return { side, style };
+}
+
+const isSameStyle = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+};
+
+/**
+ * @param {Object} options
+ * @param {Object} options.anchorRef - Ref to the element (or virtual element) to position against
+ * @param {Object} options.floatingRef - Ref to the floating element
+ * @param {boolean} options.enabled - Measure and track while true (e.g. while open)
+ * @param {string} options.placement - 'top' | 'bottom' | 'left' | 'right', optionally
+ *   with '-start' or '-end' (default: 'bottom-start')
+ * @param {number} options.offset - Gap between anchor and floating element in px (default: 4)
+ * @param {number} options.padding - Minimum distance from the viewport edges in px (default: 8)
+ * @param {boolean} options.flip - Move to the opposite side when there is more room (default: true)
+ * @param {boolean} options.shift - Slide along the anchor to stay in the viewport (default: true)
+ * @param {boolean|string} options.matchWidth - true for the anchor's width, 'min' for at least its width
+ * @returns {Object} { style, side, update }
+ */
+export function usePosition({
+  anchorRef,
+  floatingRef,
+  enabled = true,
+  placement = 'bottom-start',
+  offset = 4,
+  padding = 8,
+  flip = true,
+  shift = true,
+  matchWidth = false,
+}) {
+  const [position, setPosition] = useState({ side: placement.split('-')[0], style: { position: 'fixed', top: 0, left: 0 } });
+  const frameRef = useRef(null);
+
+  const update = useCallback(() => {
+    const anchor = anchorRef.current;
+    const floating = floatingRef.current;
+    if (!anchor || !floating) return;
+
+    // Measure the natural size - not the size capped for the previous side
+    const cap = floating.style.getPropertyValue(AVAILABLE_HEIGHT_VAR);
+    floating.style.removeProperty(AVAILABLE_HEIGHT_VAR);
+    const rect = floating.getBoundingClientRect();
+    if (cap) floating.style.setProperty(AVAILABLE_HEIGHT_VAR, cap);
+
+    const next = computePosition(anchor.getBoundingClientRect(), rect, {
+      placement, offset, padding, flip, shift, matchWidth,
+    });
+
+    setPosition((current) => (
+      current.side === next.side && isSameStyle(current.style, next.style) ? current : next
+    ));
+  }, [anchorRef, floatingRef, placement, offset, padding, flip, shift, matchWidth]);
+
+  // Position before paint, so the element never shows up in the wrong place
+  useIsomorphicLayoutEffect(() => {
+    if (enabled) update();
+  }, [enabled, update]);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    // Scroll events fire often - update at most once per frame
+    const scheduleUpdate = (event) => {
+      // Scrolling inside the floating element (e.g. a long list) doesn't move it
+      if (event?.type === 'scroll' && floatingRef.current?.contains(event.target)) return;
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = requestAnimationFrame(update);
+    };
+
+    // Capture catches scrolling in any ancestor, not just the window
+    window.addEventListener('scroll', scheduleUpdate, { capture: true, passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+
+    let observer;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(scheduleUpdate);
+      if (anchorRef.current instanceof Element) observer.observe(anchorRef.current);
+      if (floatingRef.current) observer.observe(floatingRef.current);
+    }
+
+    return () => {
+      cancelAnimationFrame(frameRef.current);
+      window.removeEventListener('scroll', scheduleUpdate, { capture: true });
+      window.removeEventListener('resize', scheduleUpdate);
+      observer?.disconnect();
+    };
+  }, [enabled, update, anchorRef, floatingRef]);
+
+  return { style: position.style, side: position.side, update };
+}
+
+export default usePosition;
@@ -4,22 +4,169 @@
  * A dropdown select component for choosing from a list of options.
  * Supports single and multi-select, searchable options, and custom rendering.
  * 
- * @param {string} value - Currently selected value(s)
- * @param {Array} options - Array of {value, label, disabled?, icon?} objects
+ * Follows the WAI-ARIA combobox pattern. Keyboard: Arrow keys, Home/End and
+ * PageUp/PageDown move through enabled options, Enter (and Space, unless
+ * `searchable` or mid type-ahead) selects, Escape closes.
+ * Typing opens the list - it jumps to the first matching option, or starts
+ * the search when `searchable`.
+ * 
+ * @param {string|Array} value - Currently selected value (an array in `multiple` mode)
+ * @param {Array} options - Array of {value, label, description?, keywords?, disabled?, icon?} objects,
+ *   or groups of them: {label, options: [...]}
  * @param {string} placeholder - Placeholder text when no selection
  * @param {string} label - Label text above the select
  * @param {string} error - Error message to display
  * @param {boolean} disabled - Whether the select is disabled
- * @param {boolean} searchable - Enable search/filter functionality
+ * @param {boolean} searchable - Enable search/filter functionality (fuzzy, ranked, diacritic-insensitive)
+ * @param {function} filterOption - Custom search: (option, term) => boolean, or a positive score to rank by
  * @param {boolean} clearable - Show clear selection button
  * @param {string} size - 'small' | 'medium' | 'large'
  * @param {function} onChange - Callback when selection changes
  * @param {function} onSearch - Callback when search input changes (for async)
- * @param {function} renderOption - Custom option renderer
+ * @param {function} renderOption - Custom option renderer: (option, { isSelected, isHighlighted, matches })
+ * @param {boolean} multiple - Select several values, shown as removable chips
+ * @param {number} maxSelected - Maximum number of values in `multiple` mode
+ * @param {boolean} selectAll - Show a "Select all" / "Clear all" option in `multiple` mode
+ * @param {function} loadOptions - Async options: (term, { signal }) => Promise<options>. Implies `searchable`
+ * @param {Object|Array} selectedOption - Option for a preset `value` that has not been loaded yet (an array
+ *   in `multiple` mode), so its label shows before the list is opened
+ * @param {number} debounceMs - Delay before loading options for a new search term
+ * @param {boolean} cacheOptions - Reuse loaded options for terms that were already searched
+ * @param {boolean} creatable - Offer to create the search term as a new option. Implies `searchable`
+ * @param {function} onCreateOption - (term) => option | value | Promise of either. Defaults to using the term as the value
+ * @param {function} isValidNewOption - (term, options) => boolean, whether the term may be created
+ * @param {boolean} virtualized - Only render the options scrolled into view (for thousands of options)
+ * @param {number} optionHeight - Fixed option and group label height in px when virtualized
+ * @param {boolean} portal - Render the dropdown in a portal, positioned against the trigger, so
+ *   Modal bodies and `overflow: hidden` containers don't clip it (default: true)
+ *
+ * @example
+ * <Select
+ *   multiple
+ *   label="Models"
+ *   value={models}
+ *   onChange={setModels}
+ *   options={modelOptions}
+ *   maxSelected={3}
+ * />
+ *
+ * <Select
+ *   label="Owner"
+ *   value={ownerId}
+ *   onChange={setOwnerId}
+ *   loadOptions={(term, { signal }) => api.searchUsers(term, { signal })}
+ *   selectedOption={owner && { value: owner.id, label: owner.name }}
+ * />
+ *
+ * <Select
+ *   multiple
+ *   creatable
+ *   label="Tags"
+ *   value={tags}
+ *   onChange={setTags}
+ *   options={tagOptions}
+ *   onCreateOption={(term) => api.createTag(term)}
+ *   isValidNewOption={(term) => /^[a-z0-9-]+$/.test(term)}
+ * />
+ *
+ * <Select
+ *   label="Model"
+ *   value={model}
+ *   onChange={setModel}
+ *   options={[
+ *     { label: 'Claude', options: [
+ *       { value: 'opus', label: 'Opus', description: 'Most capable' },
+ *       { value: 'haiku', label: 'Haiku', description: 'Fastest' },
+ *     ] },
+ *   ]}
+ * />
  */
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useId } from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+import Chip from '../Chip/Chip.jsx';
+import Spinner from '../Spinner/Spinner.jsx';
+import Portal from '../Portal/Portal.jsx';
+import { usePosition } from '../Portal/usePosition.js';
+import { useVirtualRows } from '../hooks/useVirtualRows.js';
+import { matchOption, normalizeText } from './fuzzyMatch.js';
 import './Select.css';
 
+const SELECT_ALL = 'select-all';
+const CREATE_OPTION = 'create-option';
+// Keys typed within this many ms build one type-ahead search
+const TYPEAHEAD_TIMEOUT = 500;
+// Options moved by PageUp/PageDown
+const PAGE_SIZE = 10;
+
+/**
+ * Flatten grouped options ({ label, options }) into one list. Each option
+ * keeps a reference to its group so the list can be rendered in sections.
+ */
+const flattenOptions = (options) => options.flatMap((item, groupIndex) => (
+  Array.isArray(item.options)
+    ? item.options.map(opt => ({ ...opt, group: { key: `${groupIndex}-${item.label}`, label: item.label } }))
+    : [item]
+));
+
+/**
+ * Filter options for a search term, best matches first. Options stay next
+ * to the rest of their group - groups are ordered by their best match.
+ * Returns the options plus the matched label characters by option value.
+ */
+const rankOptions = (options, term, filterOption) => {
+  const matches = new Map();
+  const buckets = new Map();
+
+  options.forEach((option, index) => {
+    let score = 0;
+    if (filterOption) {
+      const result = filterOption(option, term);
+      if (!result) return;
+      if (typeof result === 'number') score = result;
+    } else {
+      const match = matchOption(option, term);
+      if (!match) return;
+      score = match.score;
+      if (match.indices.length) matches.set(option.value, match.indices);
+    }
+
+    const groupKey = option.group?.key;
+    if (!buckets.has(groupKey)) buckets.set(groupKey, { best: score, index, items: [] });
+    const bucket = buckets.get(groupKey);
+    bucket.best = Math.max(bucket.best, score);
+    bucket.items.push({ option, score, index });
+  });
+
+  const byScore = (a, b) => b.score - a.score || a.index - b.index;
+  const ranked = [...buckets.values()]
+    .sort((a, b) => b.best - a.best || a.index - b.index)
+    .flatMap(bucket => bucket.items.sort(byScore).map(item => item.option));
+
+  return { options: ranked, matches };
+};
+
+/**
+ * Wrap the matched characters of a label in <mark>
+ */
+const highlightMatches = (text, indices) => {
+  if (!indices?.length || typeof text !== 'string') return text;
+
+  const marked = new Set(indices);
+  const parts = [];
+  let start = 0;
+  for (let i = 1; i <= text.length; i++) {
+    // Close a run where matched and unmatched characters meet
+    if (i === text.length || marked.has(i) !== marked.has(start)) {
+      const part = text.slice(start, i);
+      parts.push(marked.has(start)
+        ? <mark key={start} className="l100-select__match">{part}</mark>
+        : part);
+      start = i;
+    }
+  }
+  return parts;
+};
+
 export default function Select({
   value,
   options = [],
@@ -34,24 +181,177 @@ export default function Select({
   onChange,
   onSearch,
   renderOption,
+  filterOption,
+  multiple = false,
+  maxSelected,
+  selectAll = true,
+  loadOptions,
+  selectedOption: selectedOptionProp,
+  debounceMs = 300,
+  cacheOptions = true,
+  creatable = false,
+  onCreateOption,
+  isValidNewOption,
+  virtualized = false,
+  optionHeight = 40,
+  portal = true,
 }) {
   const [isOpen, setIsOpen] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const [asyncState, setAsyncState] = useState({ options: [], loading: false, error: null });
+  const [retryToken, setRetryToken] = useState(0);
+  const [createState, setCreateState] = useState({ creating: false, error: null });
   const containerRef = useRef(null);
   const inputRef = useRef(null);
+  const dropdownRef = useRef(null);
+  const typeaheadRef = useRef({ text: '', timer: null });
+
+  const baseId = useId();
+  const labelId = `${baseId}-label`;
+  const listboxId = `${baseId}-listbox`;
+  const getOptionId = (index) => `${baseId}-option-${index}`;
 
-  const selectedOption = options.find(opt => opt.value === value);
+  const isAsync = Boolean(loadOptions);
+  const isSearchable = searchable || isAsync || creatable;
+  const loadOptionsRef = useRef(loadOptions);
+  loadOptionsRef.current = loadOptions;
+  // Loaded options by term, and every option seen so far (to label selected values)
+  const cacheRef = useRef(new Map());
+  const knownOptionsRef = useRef(new Map());
 
-  const filteredOptions = searchable && searchTerm
-    ? options.filter(opt => 
-        opt.label.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    : options;
+  const flatOptions = flattenOptions(options);
+  const presetOptions = selectedOptionProp ? [].concat(selectedOptionProp) : [];
+
+  const findOption = (optionValue) => (
+    flatOptions.find(opt => opt.value === optionValue) ||
+    knownOptionsRef.current.get(optionValue) ||
+    presetOptions.find(opt => opt.value === optionValue)
+  );
+
+  // Load options for the current term while open: cached terms resolve immediately,
+  // typing is debounced and a newer term aborts the request in flight
+  useEffect(() => {
+    if (!isAsync || !isOpen) return undefined;
+
+    const term = searchTerm.trim();
+    if (cacheOptions && cacheRef.current.has(term)) {
+      setAsyncState({ options: cacheRef.current.get(term), loading: false, error: null });
+      return undefined;
+    }
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    let stale = false;
+    setAsyncState(current => ({ ...current, loading: true, error: null }));
+
+    const timer = setTimeout(() => {
+      Promise.resolve()
+        .then(() => loadOptionsRef.current(term, { signal: controller?.signal }))
+        .then((loaded) => {
+          if (stale) return;
+          const result = flattenOptions(loaded || []);
+          result.forEach(opt => knownOptionsRef.current.set(opt.value, opt));
+          if (cacheOptions) cacheRef.current.set(term, result);
+          setAsyncState({ options: result, loading: false, error: null });
+          setHighlightedIndex(-1);
+        })
+        .catch((err) => {
+          if (stale || err?.name === 'AbortError') return;
+          setAsyncState({ options: [], loading: false, error: err || new Error('Failed to load options') });
+        });
+    }, term ? debounceMs : 0);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+      controller?.abort();
+    };
+  }, [isAsync, isOpen, searchTerm, cacheOptions, debounceMs, retryToken]);
+
+  const selectedValues = multiple ? (Array.isArray(value) ? value : []) : [];
+  const selectedOption = multiple ? null : findOption(value);
+  const selectedOptions = multiple
+    ? selectedValues.map(v => findOption(v) || { value: v, label: String(v) })
+    : [];
+  const isLimitReached = multiple && maxSelected !== undefined && selectedValues.length >= maxSelected;
+  const hasValue = multiple ? selectedValues.length > 0 : Boolean(value);
+
+  // Async options come back already matched to the term
+  const searchResults = !isAsync && isSearchable && searchTerm.trim()
+    ? rankOptions(flatOptions, searchTerm, filterOption)
+    : null;
+  const filteredOptions = isAsync
+    ? (asyncState.loading || asyncState.error ? [] : asyncState.options)
+    : searchResults ? searchResults.options : flatOptions;
+  const getMatches = (option) => searchResults?.matches.get(option.value);
+
+  // "Select all" acts on the enabled options currently listed (respecting the search)
+  const selectableOptions = filteredOptions.filter(opt => !opt.disabled);
+  const allSelected = selectableOptions.length > 0 &&
+    selectableOptions.every(opt => selectedValues.includes(opt.value));
+  // Nothing left to add once the limit is reached, so the row offers to clear instead
+  const clearsAll = allSelected || isLimitReached;
+  const showSelectAll = multiple && selectAll && selectableOptions.length > 1;
+
+  // Offer to create the term unless an option already has that exact label
+  const newTerm = searchTerm.trim();
+  const normalizedTerm = normalizeText(newTerm).text;
+  const showCreate = creatable && newTerm !== '' && !asyncState.loading &&
+    !filteredOptions.some(opt => normalizeText(opt.label).text === normalizedTerm) &&
+    (isValidNewOption ? isValidNewOption(newTerm, filteredOptions) : true);
+
+  // Navigable rows: the optional select-all row, the options and the optional create row
+  const listItems = [
+    ...(showSelectAll ? [{ value: SELECT_ALL, label: clearsAll ? 'Clear all' : 'Select all', isSelectAll: true }] : []),
+    ...filteredOptions,
+    ...(showCreate ? [{ value: CREATE_OPTION, label: `Create \u201c${newTerm}\u201d`, term: newTerm, isCreate: true }] : []),
+  ];
+
+  // Rendered rows: a label row before each group, then its options
+  const rows = [];
+  const rowIndexByItem = [];
+  listItems.forEach((option, index) => {
+    if (option.group && option.group.key !== listItems[index - 1]?.group?.key) {
+      rows.push({ type: 'group', group: option.group });
+    }
+    rowIndexByItem[index] = rows.length;
+    rows.push({ type: 'option', option, index });
+  });
+
+  const { style: positionStyle, side } = usePosition({
+    anchorRef: containerRef,
+    floatingRef: dropdownRef,
+    enabled: portal && isOpen,
+    placement: 'bottom-start',
+    matchWidth: true,
+  });
+
+  const { range, paddingTop, paddingBottom, scrollToIndex } = useVirtualRows({
+    count: rows.length,
+    getKey: (rowIndex) => rowIndex,
+    scrollRef: dropdownRef,
+    enabled: virtualized && isOpen,
+    rowHeight: optionHeight,
+  });
+
+  // Keep the highlighted option in view - when virtualized this also renders it,
+  // so aria-activedescendant always points at an element in the DOM
+  useIsomorphicLayoutEffect(() => {
+    if (!isOpen || highlightedIndex < 0) return;
+    if (virtualized) {
+      scrollToIndex(rowIndexByItem[highlightedIndex]);
+    } else {
+      document.getElementById(getOptionId(highlightedIndex))?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [isOpen, highlightedIndex, virtualized]);
+
+  useEffect(() => () => clearTimeout(typeaheadRef.current.timer), []);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
-      if (containerRef.current && !containerRef.current.contains(event.target)) {
+      // The dropdown is outside the container when it is portalled
+      if (containerRef.current && !containerRef.current.contains(event.target) &&
+        !dropdownRef.current?.contains(event.target)) {
         setIsOpen(false);
         setSearchTerm('');
       }
@@ -62,10 +362,13 @@ export default function Select({
   }, []);
 
   useEffect(() => {
-    if (isOpen && searchable && inputRef.current) {
-      inputRef.current.focus();
+    if (isOpen && isSearchable && inputRef.current) {
+      const input = inputRef.current;
+      input.focus();
+      // Keep typing after a character that opened the search
+      input.setSelectionRange?.(input.value.length, input.value.length);
     }
-  }, [isOpen, searchable]);
+  }, [isOpen, isSearchable]);
 
   const handleToggle = useCallback(() => {
     if (!disabled) {
@@ -76,50 +379,240 @@ export default function Select({
   }, [disabled, isOpen]);
 
   const handleSelect = useCallback((optionValue) => {
-    onChange?.(optionValue);
-    setIsOpen(false);
-    setSearchTerm('');
-  }, [onChange]);
+    if (!multiple) {
+      onChange?.(optionValue);
+      setIsOpen(false);
+      setSearchTerm('');
+      return;
+    }
+
+    // Multiple mode toggles the value and keeps the dropdown open
+    if (selectedValues.includes(optionValue)) {
+      onChange?.(selectedValues.filter(v => v !== optionValue));
+    } else if (!isLimitReached) {
+      onChange?.([...selectedValues, optionValue]);
+    }
+  }, [multiple, onChange, selectedValues, isLimitReached]);
+
+  const handleSelectAll = useCallback(() => {
+    const listedValues = selectableOptions.map(opt => opt.value);
+
+    if (clearsAll) {
+      onChange?.(selectedValues.filter(v => !listedValues.includes(v)));
+      return;
+    }
+
+    const added = listedValues.filter(v => !selectedValues.includes(v));
+    const room = maxSelected === undefined ? added.length : Math.max(0, maxSelected - selectedValues.length);
+    onChange?.([...selectedValues, ...added.slice(0, room)]);
+  }, [selectableOptions, clearsAll, selectedValues, maxSelected, onChange]);
+
+  const handleRemove = useCallback((optionValue) => {
+    onChange?.(selectedValues.filter(v => v !== optionValue));
+  }, [onChange, selectedValues]);
 
   const handleClear = useCallback((e) => {
     e.stopPropagation();
-    onChange?.('');
+    onChange?.(multiple ? [] : '');
+    setSearchTerm('');
+  }, [multiple, onChange]);
+
+  // Creates the term through onCreateOption (which may be async), then selects the new option
+  const handleCreate = useCallback(async (term) => {
+    setCreateState({ creating: true, error: null });
+
+    let option;
+    try {
+      const created = await onCreateOption?.(term);
+      option = created !== null && typeof created === 'object'
+        ? created
+        : { value: created ?? term, label: term };
+    } catch (err) {
+      setCreateState({ creating: false, error: err?.message || 'Could not create option' });
+      return;
+    }
+
+    knownOptionsRef.current.set(option.value, option);
+    // Cached results predate the new option
+    cacheRef.current.clear();
+    setCreateState({ creating: false, error: null });
     setSearchTerm('');
-  }, [onChange]);
+    setHighlightedIndex(-1);
+
+    if (!multiple) {
+      onChange?.(option.value);
+      setIsOpen(false);
+    } else if (!selectedValues.includes(option.value)) {
+      onChange?.([...selectedValues, option.value]);
+    }
+  }, [onCreateOption, multiple, onChange, selectedValues]);
+
+  const isItemDisabled = useCallback((item) => {
+    if (item.isSelectAll) return false;
+    if (item.isCreate) return createState.creating || isLimitReached;
+    return Boolean(item.disabled || (isLimitReached && !selectedValues.includes(item.value)));
+  }, [isLimitReached, selectedValues, createState.creating]);
+
+  const activateItem = useCallback((item) => {
+    if (item.isSelectAll) {
+      handleSelectAll();
+    } else if (item.isCreate) {
+      handleCreate(item.term);
+    } else {
+      handleSelect(item.value);
+    }
+  }, [handleSelect, handleSelectAll, handleCreate]);
 
   const handleSearchChange = useCallback((e) => {
     const term = e.target.value;
     setSearchTerm(term);
     onSearch?.(term);
     setHighlightedIndex(-1);
+    setCreateState(current => (current.error ? { ...current, error: null } : current));
   }, [onSearch]);
 
+  // First enabled row from `from` (inclusive) in `step` direction, or -1.
+  // Group headers are not rows, so they are never highlighted.
+  const findEnabledIndex = useCallback((from, step) => {
+    for (let i = from; i >= 0 && i < listItems.length; i += step) {
+      if (!isItemDisabled(listItems[i])) return i;
+    }
+    return -1;
+  }, [listItems, isItemDisabled]);
+
+  // Next enabled row in `step` direction, or -1 / the current row at either end
+  const getNextIndex = useCallback((from, step) => {
+    const next = findEnabledIndex(from + step, step);
+    return next === -1 && step > 0 ? from : next;
+  }, [findEnabledIndex]);
+
+  // Enabled row about a page away, stopping at the first/last enabled row
+  const getPageIndex = useCallback((from, step) => {
+    const target = Math.max(0, Math.min(listItems.length - 1, from + step * PAGE_SIZE));
+    const next = findEnabledIndex(target, step);
+    return next === -1 ? findEnabledIndex(target, -step) : next;
+  }, [listItems, findEnabledIndex]);
+
+  // Type-ahead: highlight the next option whose label starts with the typed text.
+  // Works on the data, so it finds options that are not rendered.
+  const handleTypeahead = useCallback((char, from = highlightedIndex) => {
+    const typeahead = typeaheadRef.current;
+    clearTimeout(typeahead.timer);
+    typeahead.text += char;
+    typeahead.timer = setTimeout(() => {
+      typeahead.text = '';
+    }, TYPEAHEAD_TIMEOUT);
+
+    // Repeating one character cycles through the options starting with it
+    const text = normalizeText(typeahead.text).text;
+    const isRepeat = text.length > 1 && [...text].every(c => c === text[0]);
+    const query = isRepeat ? text[0] : text;
+    const start = isRepeat || text.length === 1 ? from + 1 : Math.max(from, 0);
+
+    for (let i = 0; i < listItems.length; i++) {
+      const index = (start + i) % listItems.length;
+      const item = listItems[index];
+      if (!item.isSelectAll && !item.isCreate && !isItemDisabled(item) &&
+        normalizeText(item.label).text.startsWith(query)) {
+        setHighlightedIndex(index);
+        return;
+      }
+    }
+  }, [listItems, highlightedIndex, isItemDisabled]);
+
   const handleKeyDown = useCallback((e) => {
+    // Backspace removes the last chip once the search box is empty
+    if (multiple && e.key === 'Backspace' && !searchTerm && selectedValues.length > 0 && !disabled) {
+      e.preventDefault();
+      handleRemove(selectedValues[selectedValues.length - 1]);
+      return;
+    }
+
+    const isPrintable = e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey;
+
     if (!isOpen) {
-      if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+      if (disabled) return;
+
+      const open = (index) => {
         e.preventDefault();
         setIsOpen(true);
+        setSearchTerm('');
+        setHighlightedIndex(index);
+      };
+
+      if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+        // Start from the current value, like a native select
+        const selectedIndex = multiple ? -1 : listItems.findIndex(item => !item.isSelectAll && item.value === value);
+        open(selectedIndex);
+      } else if (e.key === 'ArrowUp' || e.key === 'Home') {
+        open(findEnabledIndex(0, 1));
+      } else if (e.key === 'End') {
+        open(findEnabledIndex(listItems.length - 1, -1));
+      } else if (isPrintable && isSearchable) {
+        // The character starts the search
+        open(-1);
+        setSearchTerm(e.key);
+        onSearch?.(e.key);
+      } else if (isPrintable) {
+        open(-1);
+        handleTypeahead(e.key, -1);
       }
       return;
     }
 
+    // The search box keeps Home/End for moving its caret
+    const inSearch = e.target === inputRef.current;
+
     switch (e.key) {
       case 'ArrowDown':
         e.preventDefault();
-        setHighlightedIndex(prev => 
-          prev < filteredOptions.length - 1 ? prev + 1 : prev
-        );
+        setHighlightedIndex(prev => getNextIndex(prev, 1));
         break;
       case 'ArrowUp':
         e.preventDefault();
-        setHighlightedIndex(prev => prev > 0 ? prev - 1 : -1);
+        setHighlightedIndex(prev => getNextIndex(prev, -1));
         break;
-      case 'Enter':
+      case 'Home':
+        if (inSearch) break;
         e.preventDefault();
-        if (highlightedIndex >= 0 && filteredOptions[highlightedIndex]) {
-          handleSelect(filteredOptions[highlightedIndex].value);
+        setHighlightedIndex(findEnabledIndex(0, 1));
+        break;
+      case 'End':
+        if (inSearch) break;
+        e.preventDefault();
+        setHighlightedIndex(findEnabledIndex(listItems.length - 1, -1));
+        break;
+      case 'PageDown':
+        e.preventDefault();
+        setHighlightedIndex(prev => getPageIndex(prev, 1));
+        break;
+      case 'PageUp':
+        e.preventDefault();
+        setHighlightedIndex(prev => getPageIndex(Math.max(prev, 0), -1));
+        break;
+      case 'Enter': {
+        e.preventDefault();
+        // With nothing highlighted, Enter creates the typed term
+        const item = highlightedIndex >= 0 ? listItems[highlightedIndex] : listItems.find(i => i.isCreate);
+        if (item && !isItemDisabled(item)) {
+          activateItem(item);
         }
         break;
+      }
+      case ' ': {
+        // Spaces belong to the search box, or to a type-ahead in progress
+        if (isSearchable) break;
+        e.preventDefault();
+        if (typeaheadRef.current.text) {
+          handleTypeahead(e.key);
+          break;
+        }
+        const item = listItems[highlightedIndex];
+        if (item && !isItemDisabled(item)) {
+          activateItem(item);
+        }
+        break;
+      }
       case 'Escape':
         e.preventDefault();
         setIsOpen(false);
@@ -130,14 +623,180 @@ export default function Select({
         setSearchTerm('');
         break;
       default:
+        // Printable keys go to the search box when there is one
+        if (!isSearchable && isPrintable) {
+          e.preventDefault();
+          handleTypeahead(e.key);
+        }
         break;
     }
-  }, [isOpen, filteredOptions, highlightedIndex, handleSelect]);
+  }, [isOpen, listItems, highlightedIndex, value, activateItem, isItemDisabled, findEnabledIndex, getNextIndex, getPageIndex, handleTypeahead, isSearchable, onSearch, multiple, searchTerm, selectedValues, disabled, handleRemove]);
+
+  const renderItem = (option, index) => {
+    const isSelected = multiple ? selectedValues.includes(option.value) : option.value === value;
+    const isHighlighted = index === highlightedIndex;
+    const isDisabled = isItemDisabled(option);
+    // Most options are missing from the DOM when virtualized - give their position in the full list
+    const rowProps = virtualized
+      ? { style: { height: optionHeight }, 'aria-setsize': listItems.length, 'aria-posinset': index + 1 }
+      : {};
+
+    if (option.isSelectAll) {
+      return (
+        <div
+          key={SELECT_ALL}
+          id={getOptionId(index)}
+          className={[
+            'l100-select__option',
+            'l100-select__option--select-all',
+            isHighlighted && 'l100-select__option--highlighted',
+          ].filter(Boolean).join(' ')}
+          onClick={handleSelectAll}
+          onMouseEnter={() => setHighlightedIndex(index)}
+          role="option"
+          aria-selected={clearsAll}
+          {...rowProps}
+        >
+          <span className="l100-select__option-label">{option.label}</span>
+        </div>
+      );
+    }
+
+    if (option.isCreate) {
+      return (
+        <div
+          key={CREATE_OPTION}
+          id={getOptionId(index)}
+          className={[
+            'l100-select__option',
+            'l100-select__option--create',
+            isHighlighted && 'l100-select__option--highlighted',
+            isDisabled && 'l100-select__option--disabled',
+          ].filter(Boolean).join(' ')}
+          onClick={() => !isDisabled && handleCreate(option.term)}
+          onMouseEnter={() => setHighlightedIndex(index)}
+          role="option"
+          aria-selected={false}
+          aria-disabled={isDisabled}
+          {...rowProps}
+        >
+          <span className="l100-select__option-icon">
+            {createState.creating ? (
+              <Spinner size="small" />
+            ) : (
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <line x1="12" y1="5" x2="12" y2="19" />
+                <line x1="5" y1="12" x2="19" y2="12" />
+              </svg>
+            )}
+          </span>
+          <span className="l100-select__option-label">{option.label}</span>
+        </div>
+      );
+    }
+
+    return (
+      <div
+        key={option.value}
+        id={getOptionId(index)}
+        className={[
+          'l100-select__option',
+          option.description && 'l100-select__option--with-description',
+          isSelected && 'l100-select__option--selected',
+          isHighlighted && 'l100-select__option--highlighted',
+          isDisabled && 'l100-select__option--disabled',
+        ].filter(Boolean).join(' ')}
+        onClick={() => !isDisabled && handleSelect(option.value)}
+        onMouseEnter={() => setHighlightedIndex(index)}
+        role="option"
+        aria-selected={isSelected}
+        aria-disabled={isDisabled}
+        {...rowProps}
+      >
+        {renderOption ? (
+          renderOption(option, { isSelected, isHighlighted, matches: getMatches(option) || [] })
+        ) : (
+          <>
+            {option.icon && (
+              <span className="l100-select__option-icon">{option.icon}</span>
+            )}
+            {option.description ? (
+              <span className="l100-select__option-text">
+                <span className="l100-select__option-label">{highlightMatches(option.label, getMatches(option))}</span>
+                <span className="l100-select__option-description">{option.description}</span>
+              </span>
+            ) : (
+              <span className="l100-select__option-label">{highlightMatches(option.label, getMatches(option))}</span>
+            )}
+            {isSelected && (
+              <span className="l100-select__check">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="20 6 9 17 4 12" />
+                </svg>
+              </span>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  // Consecutive rows of the same group are wrapped in a role="group", labelled
+  // by its label row - or named directly when that row is scrolled out of a virtual window
+  const renderRows = (start, end) => {
+    const sections = [];
+    for (let rowIndex = start; rowIndex < end; rowIndex++) {
+      const row = rows[rowIndex];
+      const group = row.type === 'group' ? row.group : row.option.group;
+      const last = sections[sections.length - 1];
+
+      if (row.type === 'group' || !last || last.group?.key !== group?.key) {
+        sections.push({ group, labelId: null, firstRow: rowIndex, items: [] });
+      }
+
+      const section = sections[sections.length - 1];
+      if (row.type === 'group') {
+        section.labelId = `${baseId}-group-${rowIndex}`;
+        section.items.push(
+          <div
+            key={section.labelId}
+            id={section.labelId}
+            className="l100-select__group-label"
+            role="presentation"
+            style={virtualized ? { height: optionHeight } : undefined}
+          >
+            {row.group.label}
+          </div>
+        );
+      } else {
+        section.items.push(renderItem(row.option, row.index));
+      }
+    }
+
+    return sections.map((section) => {
+      if (!section.group) {
+        return <React.Fragment key={`section-${section.firstRow}`}>{section.items}</React.Fragment>;
+      }
+
+      return (
+        <div
+          key={`group-${section.group.key}`}
+          className="l100-select__group"
+          role="group"
+          aria-labelledby={section.labelId || undefined}
+          aria-label={section.labelId ? undefined : section.group.label}
+        >
+          {section.items}
+        </div>
+      );
+    });
+  };
 
   const classes = [
     'l100-select',
     `l100-select--${size}`,
     isOpen && 'l100-select--open',
+    multiple && 'l100-select--multiple',
     disabled && 'l100-select--disabled',
     error && 'l100-select--error',
     className,
@@ -146,12 +805,27 @@ export default function Select({
   const dropdownClasses = [
     'l100-select__dropdown',
     isOpen && 'l100-select__dropdown--open',
+    virtualized && 'l100-select__dropdown--virtualized',
+    portal && 'l100-select__dropdown--portal',
   ].filter(Boolean).join(' ');
 
+  const activeDescendant = isOpen && highlightedIndex >= 0 ? getOptionId(highlightedIndex) : undefined;
+
+  // Focus moves into the search box while searching, so it carries the combobox state too
+  const searchInputProps = {
+    ref: inputRef,
+    type: 'text',
+    className: 'l100-select__search',
+    'aria-autocomplete': 'list',
+    'aria-controls': listboxId,
+    'aria-labelledby': label ? labelId : undefined,
+    'aria-activedescendant': activeDescendant,
+  };
+
   return (
     <div className="l100-select-wrapper">
       {label && (
-        <label className="l100-select__label" id={`${label}-label`}>
+        <label className="l100-select__label" id={labelId}>
           {label}
         </label>
       )}
@@ -164,18 +838,43 @@ export default function Select({
         role="combobox"
         aria-expanded={isOpen}
         aria-haspopup="listbox"
-        aria-labelledby={label ? `${label}-label` : undefined}
-        aria-activedescendant={highlightedIndex >= 0 ? `option-${highlightedIndex}` : undefined}
+        aria-controls={isOpen || !portal ? listboxId : undefined}
+        aria-labelledby={label ? labelId : undefined}
+        aria-activedescendant={activeDescendant}
+        aria-disabled={disabled || undefined}
       >
         <div 
           className="l100-select__trigger"
           onClick={handleToggle}
         >
-          {isOpen && searchable ? (
+          {multiple ? (
+            <span className="l100-select__value l100-select__value--multiple">
+              {selectedOptions.map(opt => (
+                <Chip
+                  key={opt.value}
+                  size="sm"
+                  icon={opt.icon}
+                  className="l100-select__chip"
+                  onRemove={disabled ? undefined : () => handleRemove(opt.value)}
+                >
+                  {opt.label}
+                </Chip>
+              ))}
+              {isOpen && isSearchable ? (
+                <input
+                  {...searchInputProps}
+                  value={searchTerm}
+                  onChange={handleSearchChange}
+                  placeholder={selectedOptions.length ? '' : placeholder}
+                  onClick={(e) => e.stopPropagation()}
+                />
+              ) : selectedOptions.length === 0 && (
+                <span className="l100-select__value--placeholder">{placeholder}</span>
+              )}
+            </span>
+          ) : isOpen && isSearchable ? (
             <input
-              ref={inputRef}
-              type="text"
-              className="l100-select__search"
+              {...searchInputProps}
               value={searchTerm}
               onChange={handleSearchChange}
               placeholder={placeholder}
@@ -191,7 +890,7 @@ export default function Select({
           )}
           
           <div className="l100-select__actions">
-            {clearable && value && !disabled && (
+            {clearable && hasValue && !disabled && (
               <button
                 type="button"
                 className="l100-select__clear"
@@ -212,53 +911,58 @@ export default function Select({
           </div>
         </div>
 
-        <div className={dropdownClasses} role="listbox">
-          {filteredOptions.length === 0 ? (
-            <div className="l100-select__empty">No options available</div>
-          ) : (
-            filteredOptions.map((option, index) => {
-              const isSelected = option.value === value;
-              const isHighlighted = index === highlightedIndex;
-              const isDisabled = option.disabled;
-
-              return (
-                <div
-                  key={option.value}
-                  id={`option-${index}`}
-                  className={[
-                    'l100-select__option',
-                    isSelected && 'l100-select__option--selected',
-                    isHighlighted && 'l100-select__option--highlighted',
-                    isDisabled && 'l100-select__option--disabled',
-                  ].filter(Boolean).join(' ')}
-                  onClick={() => !isDisabled && handleSelect(option.value)}
-                  onMouseEnter={() => setHighlightedIndex(index)}
-                  role="option"
-                  aria-selected={isSelected}
-                  aria-disabled={isDisabled}
+        {/* A closed portalled list would sit in document.body - mount it only while open */}
+        {(isOpen || !portal) && <Portal disabled={!portal}>
+          <div
+            ref={dropdownRef}
+            id={listboxId}
+            className={dropdownClasses}
+            style={portal ? positionStyle : undefined}
+            data-side={portal ? side : undefined}
+            role="listbox"
+            aria-labelledby={label ? labelId : undefined}
+            aria-multiselectable={multiple || undefined}
+            // Keep focus on the combobox (or search box) when clicking options
+            onMouseDown={(e) => e.preventDefault()}
+          >
+            {isAsync && asyncState.loading ? (
+              <div className="l100-select__loading">
+                <Spinner size="small" label="Loading options..." />
+              </div>
+            ) : isAsync && asyncState.error ? (
+              <div className="l100-select__load-error" role="alert">
+                <span>Couldn't load options</span>
+                <button
+                  type="button"
+                  className="l100-select__retry"
+                  onClick={() => setRetryToken(token => token + 1)}
                 >
-                  {renderOption ? (
-                    renderOption(option, { isSelected, isHighlighted })
-                  ) : (
-                    <>
-                      {option.icon && (
-                        <span className="l100-select__option-icon">{option.icon}</span>
-                      )}
-                      <span className="l100-select__option-label">{option.label}</span>
-                      {isSelected && (
-                        <span className="l100-select__check">
-                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                            <polyline points="20 6 9 17 4 12" />
-                          </svg>
-                        </span>
-                      )}
-                    </>
-                  )}
-                </div>
-              );
-            })
-          )}
-        </div>
+                  Retry
+                </button>
+              </div>
+            ) : listItems.length === 0 ? (
+              <div className="l100-select__empty">No options available</div>
+            ) : virtualized ? (
+              <>
+                {paddingTop > 0 && <div style={{ height: paddingTop }} aria-hidden="true" />}
+                {renderRows(range.start, range.end)}
+                {paddingBottom > 0 && <div style={{ height: paddingBottom }} aria-hidden="true" />}
+              </>
+            ) : (
+              renderRows(0, rows.length)
+            )}
+            {createState.error && (
+              <div className="l100-select__create-error" role="alert">
+                {createState.error}
+              </div>
+            )}
+            {isLimitReached && (
+              <div className="l100-select__limit" role="status">
+                {`Maximum of ${maxSelected} selected`}
+              </div>
+            )}
+          </div>
+        </Portal>}
       </div>
 
       {error && <span className="l100-select__error">{error}</span>}
@@ -0,0 +1,155 @@
+/**
+ * Fuzzy Matching
+ *
+ * Matching used by Select search. A term matches text when its characters
+ * appear in order (case and diacritic insensitive, so "zur" finds "Zürich").
+ * Contiguous matches score above scattered ones, and matches at the start
+ * of the text or of a word score highest. Matched character positions are
+ * returned so callers can highlight them.
+ *
+ * @example
+ * fuzzyMatch('US East', 'use');   // { score, indices: [0, 1, 3] }
+ * fuzzyMatch('US East', 'xyz');   // null
+ *
+ * matchOption({ value: 'eu-central', label: 'Frankfurt', keywords: ['germany'] }, 'germ');
+ */
+
+// Combining marks left over after NFD decomposition
+const DIACRITICS = /[\u0300-\u036f]/g;
+const WORD_SEPARATOR = /[\s\-_.,/:()[\]]/;
+
+// Contiguous matches always rank above subsequence matches
+const SUBSTRING_SCORE = 100;
+const MAX_SUBSEQUENCE_SCORE = SUBSTRING_SCORE - 1;
+// Position and length penalties for a contiguous match stop here, so it
+// never scores below SUBSTRING_SCORE
+const MAX_SUBSTRING_PENALTY = 25;
+
+// Relative weight of each searched option field, applied within a match
+// type - a contiguous match in any field ranks above a scattered one
+const FIELD_WEIGHTS = { label: 1, value: 0.9, keywords: 0.8 };
+
+/**
+ * Lowercase text and strip diacritics, keeping a map from each position in
+ * the result back to the original string (for highlighting)
+ * @param {*} text - Text to normalize
+ * @returns {Object} { text, map }
+ */
+export function normalizeText(text) {
+  const source = String(text ?? '');
+  let normalized = '';
+  const map = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const folded = source[i].normalize('NFD').replace(DIACRITICS, '').toLowerCase();
+    for (let j = 0; j < folded.length; j++) {
+      normalized += folded[j];
+      map.push(i);
+    }
+  }
+
+  return { text: normalized, map };
+}
+
+const isWordStart = (text, index) => index === 0 || WORD_SEPARATOR.test(text[index - 1]);
+
+/**
+ * Best contiguous occurrence of `query`, preferring word starts
+ */
+const matchSubstring = (haystack, query) => {
+  let best = null;
+  for (let at = haystack.indexOf(query); at !== -1; at = haystack.indexOf(query, at + 1)) {
+    const penalty = Math.min(MAX_SUBSTRING_PENALTY, at * 0.5 + (haystack.length - query.length) * 0.1);
+    let score = SUBSTRING_SCORE + MAX_SUBSTRING_PENALTY - penalty;
+    if (at === 0) score += 50;
+    else if (isWordStart(haystack, at)) score += 25;
+
+    if (!best || score > best.score) {
+      best = { score, positions: Array.from({ length: query.length }, (_, i) => at + i) };
+    }
+  }
+  return best;
+};
+
+/**
+ * Characters of `query` in order, anywhere in the text. Runs of adjacent
+ * characters and word starts add to the score, gaps take away from it, and
+ * matches scattered too thinly to be useful are rejected.
+ */
+const matchSubsequence = (haystack, query) => {
+  const chars = query.replace(/\s+/g, '');
+  const positions = [];
+  let score = 0;
+  let from = 0;
+
+  for (const char of chars) {
+    const at = haystack.indexOf(char, from);
+    if (at === -1) return null;
+
+    const previous = positions[positions.length - 1];
+    score += 1;
+    if (previous !== undefined && at === previous + 1) score += 4;
+    if (isWordStart(haystack, at)) score += 3;
+    if (previous !== undefined) score -= Math.min(3, (at - previous - 1) * 0.5);
+
+    positions.push(at);
+    from = at + 1;
+  }
+
+  return score > 0 ? { score: Math.min(score, MAX_SUBSEQUENCE_SCORE), positions } : null;
+};
+
+/**
+ * Match a search term against text
+ * @param {*} text - Text to search
+ * @param {string} term - Search term
+ * @returns {Object|null} { score, indices } with indices into the original text, or null
+ */
+export function fuzzyMatch(text, term) {
+  const query = normalizeText(term).text.trim();
+  if (!query) return { score: 0, indices: [] };
+
+  const { text: haystack, map } = normalizeText(text);
+  const match = matchSubstring(haystack, query) || matchSubsequence(haystack, query);
+  if (!match) return null;
+
+  // Several normalized characters can come from one original character
+  const indices = [...new Set(match.positions.map((position) => map[position]))];
+  return { score: match.score, indices };
+}
+
+/**
+ * Match a term against an option's label, value and keywords
+ * @param {Object} option - Select option ({ value, label, keywords? })
+ * @param {string} term - Search term
+ * @returns {Object|null} { score, indices } where indices refer to the label
+ *   (empty when only the value or a keyword matched), or null
+ */
+export function matchOption(option, term) {
+  const fields = [
+    ['label', option.label],
+    ['value', option.value],
+    ...(option.keywords || []).map((keyword) => ['keywords', keyword]),
+  ];
+
+  let best = null;
+  fields.forEach(([field, text]) => {
+    // Labels can be React nodes - only text is searchable
+    if (text === null || text === undefined || typeof text === 'object') return;
+
+    const match = fuzzyMatch(text, term);
+    if (!match) return;
+
+    // Weight only the part above the band's floor, so weighting never moves
+    // a contiguous match below MAX_SUBSEQUENCE_SCORE
+    const floor = match.score >= SUBSTRING_SCORE ? SUBSTRING_SCORE : 0;
+    const score = floor + (match.score - floor) * FIELD_WEIGHTS[field];
+    if (!best || score > best.score) {
+      best = { score, indices: field === 'label' ? match.indices : [] };
+    }
+  });
+
+  return best;
+}
+
+export default fuzzyMatch;
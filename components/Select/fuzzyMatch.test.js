@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeText, fuzzyMatch, matchOption } from './fuzzyMatch.js';
+
+describe('normalizeText', () => {
+  it('lowercases and strips diacritics, mapping back to the original positions', () => {
+    expect(normalizeText('Zürich')).toEqual({ text: 'zurich', map: [0, 1, 2, 3, 4, 5] });
+    expect(normalizeText(null).text).toBe('');
+    expect(normalizeText(42).text).toBe('42');
+  });
+});
+
+describe('fuzzyMatch', () => {
+  it('matches everything with an empty term', () => {
+    expect(fuzzyMatch('anything', '  ')).toEqual({ score: 0, indices: [] });
+  });
+
+  it('returns null when the characters are not all present in order', () => {
+    expect(fuzzyMatch('US East', 'xyz')).toBeNull();
+    expect(fuzzyMatch('abc', 'cba')).toBeNull();
+  });
+
+  it('is case and diacritic insensitive', () => {
+    expect(fuzzyMatch('Zürich', 'zur').indices).toEqual([0, 1, 2]);
+    expect(fuzzyMatch('zurich', 'ZÜR')).not.toBeNull();
+  });
+
+  it('returns the matched positions for highlighting', () => {
+    expect(fuzzyMatch('US East', 'use').indices).toEqual([0, 1, 3]);
+    expect(fuzzyMatch('Frankfurt', 'furt').indices).toEqual([5, 6, 7, 8]);
+  });
+
+  it('scores the start of the text above a word start above the middle of a word', () => {
+    const start = fuzzyMatch('east coast', 'east').score;
+    const wordStart = fuzzyMatch('us east', 'east').score;
+    const middle = fuzzyMatch('northeast', 'east').score;
+    expect(start).toBeGreaterThan(wordStart);
+    expect(wordStart).toBeGreaterThan(middle);
+  });
+
+  it('always scores a contiguous match above a subsequence match', () => {
+    const farSubstring = fuzzyMatch(`${'x'.repeat(300)}abc${'y'.repeat(300)}`, 'abc');
+    const bestSubsequence = fuzzyMatch('a b c', 'abc');
+    expect(farSubstring.score).toBeGreaterThan(bestSubsequence.score);
+    expect(farSubstring.score).toBeGreaterThan(0);
+  });
+
+  it('scores adjacent characters above scattered ones', () => {
+    expect(fuzzyMatch('gpt mini', 'gptm').score).toBeGreaterThan(fuzzyMatch('g p t m', 'gptm').score);
+  });
+});
+
+describe('matchOption', () => {
+  const option = { value: 'eu-central', label: 'Frankfurt', keywords: ['germany'] };
+
+  it('matches the label with highlight indices', () => {
+    expect(matchOption(option, 'frank').indices).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  it('matches the value and keywords without label indices', () => {
+    expect(matchOption(option, 'central')).toMatchObject({ indices: [] });
+    expect(matchOption(option, 'germ')).toMatchObject({ indices: [] });
+    expect(matchOption(option, 'paris')).toBeNull();
+  });
+
+  it('weights label matches above value and keyword matches', () => {
+    const byLabel = matchOption({ value: 'x', label: 'Opus' }, 'opus');
+    const byValue = matchOption({ value: 'opus', label: 'Model' }, 'opus');
+    const byKeyword = matchOption({ value: 'x', label: 'Model', keywords: ['opus'] }, 'opus');
+    expect(byLabel.score).toBeGreaterThan(byValue.score);
+    expect(byValue.score).toBeGreaterThan(byKeyword.score);
+  });
+
+  it('ranks a contiguous value or keyword match above a scattered label match', () => {
+    const term = 'claude opus four point five';
+    // Mid-word and far into long text: the lowest contiguous score
+    const buried = `${'x'.repeat(60)}${term}`;
+    const scattered = matchOption({ value: 'x', label: 'Claude: Opus - Four / Point / Five' }, term);
+    const byValue = matchOption({ value: buried, label: 'Model' }, term);
+    const byKeyword = matchOption({ value: 'x', label: 'Model', keywords: [buried] }, term);
+    expect(scattered.score).toBeGreaterThan(90);
+    expect(byValue.score).toBeGreaterThan(scattered.score);
+    expect(byKeyword.score).toBeGreaterThan(scattered.score);
+  });
+
+  it('skips labels that are not text', () => {
+    expect(matchOption({ value: 'opus', label: { type: 'span' } }, 'opus')).toMatchObject({ indices: [] });
+  });
+});
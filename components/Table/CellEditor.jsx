@@ -0,0 +1,222 @@
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Input from '../Input/Input.jsx';
+import Select from '../Select/Select.jsx';
+import Switch from '../Switch/Switch.jsx';
+
+/**
+ * Resolve the editor type for an editable column (defaults to text)
+ */
+export const getEditorType = (column) => column.editor || 'text';
+
+/**
+ * Whether a cell of `column` in `row` can be edited
+ */
+export const isCellEditable = (column, row) => (
+  typeof column.editable === 'function' ? Boolean(column.editable(row)) : Boolean(column.editable)
+);
+
+/**
+ * Convert the editor's draft back into a cell value
+ */
+const parseDraft = (type, draft) => {
+  if (type !== 'number') return draft;
+  if (draft === '' || draft === null || draft === undefined) return null;
+  return Number(draft);
+};
+
+/**
+ * CellEditor - Inline editor used by Table.Simple for `editable` columns
+ *
+ * Text, number and enum editors open on demand: Enter commits, Escape
+ * cancels and moving focus out of the editor commits. Boolean cells are
+ * always rendered as a Switch and save on toggle.
+ *
+ * `onCommit(value)` may return a promise - the editor shows a saving state
+ * and keeps the draft open with an error message if the promise rejects.
+ */
+const CellEditor = ({
+  column,
+  row,
+  value,
+  onCommit,
+  onCancel,
+  autoFocus = true,
+}) => {
+  const type = getEditorType(column);
+  const [draft, setDraft] = useState(
+    type === 'number' && value !== null && value !== undefined ? String(value) : value ?? ''
+  );
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const containerRef = useRef(null);
+  const doneRef = useRef(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => () => {
+    mountedRef.current = false;
+  }, []);
+
+  const focusEditor = () => {
+    const target = containerRef.current?.querySelector('input, [role="combobox"]');
+    target?.focus();
+    if (target?.select) target.select();
+  };
+
+  useEffect(() => {
+    if (autoFocus && type !== 'boolean') {
+      focusEditor();
+    }
+  }, [autoFocus, type]);
+
+  // The editor is disabled while saving - give focus back if the save failed
+  const refocusOnErrorRef = useRef(false);
+  useEffect(() => {
+    if (error && !saving && refocusOnErrorRef.current) {
+      refocusOnErrorRef.current = false;
+      focusEditor();
+    }
+  }, [error, saving]);
+
+  const commit = async (nextDraft = draft, { refocus = false } = {}) => {
+    if (saving || doneRef.current) return;
+
+    const nextValue = parseDraft(type, nextDraft);
+
+    if (type === 'number' && nextValue !== null && Number.isNaN(nextValue)) {
+      setError('Enter a valid number');
+      return;
+    }
+
+    const validationError = column.validate?.(nextValue, row);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (nextValue === value) {
+      doneRef.current = true;
+      onCancel?.({ refocus });
+      return;
+    }
+
+    setError(null);
+    setSaving(true);
+
+    try {
+      await onCommit(nextValue, { refocus });
+      // Boolean editors stay mounted and can be toggled again
+      doneRef.current = type !== 'boolean';
+    } catch (err) {
+      if (mountedRef.current) {
+        refocusOnErrorRef.current = true;
+        setError(err?.message || 'Could not save changes');
+      }
+    } finally {
+      if (mountedRef.current) {
+        setSaving(false);
+      }
+    }
+  };
+
+  const cancel = () => {
+    doneRef.current = true;
+    onCancel?.({ refocus: true });
+  };
+
+  const handleKeyDown = (e) => {
+    // Leave keys the editor itself consumed (e.g. Escape closing a dropdown)
+    if (e.defaultPrevented) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      cancel();
+    } else if (e.key === 'Enter' && type !== 'enum') {
+      e.preventDefault();
+      e.stopPropagation();
+      commit(draft, { refocus: true });
+    }
+  };
+
+  // Commit when focus leaves the editor entirely
+  const handleBlur = (e) => {
+    if (containerRef.current && !containerRef.current.contains(e.relatedTarget)) {
+      commit();
+    }
+  };
+
+  if (type === 'boolean') {
+    return (
+      <span className="l100-table__cell-editor l100-table__cell-editor--boolean">
+        <Switch
+          checked={Boolean(value)}
+          onChange={(checked) => commit(checked)}
+          loading={saving}
+          size="small"
+          aria-label={column.title}
+        />
+        {error && <span className="l100-table__cell-error" role="alert">{error}</span>}
+      </span>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className={[
+        'l100-table__cell-editor',
+        `l100-table__cell-editor--${type}`,
+        saving && 'l100-table__cell-editor--saving',
+      ].filter(Boolean).join(' ')}
+      onKeyDown={handleKeyDown}
+      onBlur={handleBlur}
+      aria-busy={saving || undefined}
+    >
+      {type === 'enum' ? (
+        <Select
+          value={draft}
+          options={column.editorOptions || []}
+          onChange={(next) => {
+            setDraft(next);
+            commit(next, { refocus: true });
+          }}
+          error={error}
+          disabled={saving}
+          size="small"
+        />
+      ) : (
+        <Input
+          type={type === 'number' ? 'number' : 'text'}
+          size="small"
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            if (error) setError(null);
+          }}
+          error={error}
+          disabled={saving}
+          aria-label={column.title}
+          aria-invalid={Boolean(error)}
+        />
+      )}
+    </div>
+  );
+};
+
+CellEditor.propTypes = {
+  /** Column definition (editor, editorOptions, validate, title) */
+  column: PropTypes.object.isRequired,
+  /** Row data */
+  row: PropTypes.object.isRequired,
+  /** Current cell value */
+  value: PropTypes.any,
+  /** Save handler - (value, { refocus }) => void | Promise */
+  onCommit: PropTypes.func.isRequired,
+  /** Called when editing ends without a change */
+  onCancel: PropTypes.func,
+  /** Focus the editor on mount */
+  autoFocus: PropTypes.bool,
+};
+
+export default CellEditor;
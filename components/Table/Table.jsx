@@ -1,17 +1,92 @@
-import React from 'react';
+import React, {
+  useState,
+  useRef,
+  useCallback,
+  useMemo,
+  useEffect,
+  createContext,
+  useContext,
+} from 'react';
 import PropTypes from 'prop-types';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+import { Checkbox } from '../Checkbox/Checkbox.jsx';
+import Input from '../Input/Input.jsx';
+import Menu from '../Menu/Menu.jsx';
+import Skeleton from '../Skeleton/Skeleton.jsx';
+import Pagination from '../Pagination/Pagination.jsx';
+import EmptyState from '../EmptyState/EmptyState.jsx';
+import Alert from '../Alert/Alert.jsx';
+import CellEditor, { getEditorType, isCellEditable } from './CellEditor.jsx';
+import {
+  buildRowItems,
+  getNextSort,
+  isEmptyFilter,
+  filterRows,
+  aggregateColumn,
+  getGroupKey,
+  normalizeColumnState,
+  resolveColumns,
+  moveColumn,
+} from './tableUtils.js';
+import { useVirtualRows } from '../hooks/useVirtualRows.js';
+import { useGridNavigation } from './useGridNavigation.js';
+import { useRemoteTable } from './useRemoteTable.js';
+import { EXPORT_FORMATS, serializeRows, downloadFile } from './exportTable.js';
 import './Table.css';
 
+// Key used for the selection checkbox column when measuring pinned offsets
+const SELECT_COLUMN_KEY = '__select';
+
+// Lets headers announce sort changes through the table's live region
+const TableContext = createContext({});
+
+/**
+ * Controlled/uncontrolled state helper (same contract as Tabs `value`/`defaultValue`)
+ */
+const useControllableState = (controlledValue, defaultValue, onChange) => {
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue);
+  const isControlled = controlledValue !== undefined;
+  const value = isControlled ? controlledValue : uncontrolledValue;
+
+  // Keep the latest value for functional updates without re-creating the setter
+  const valueRef = useRef(value);
+  valueRef.current = value;
+
+  const setValue = useCallback(
+    (next) => {
+      const resolved = typeof next === 'function' ? next(valueRef.current) : next;
+      if (!isControlled) {
+        setUncontrolledValue(resolved);
+      }
+      onChange?.(resolved);
+    },
+    [isControlled, onChange]
+  );
+
+  return [value, setValue];
+};
+
 /**
  * Table Component - Display tabular data
  *
  * Features:
  * - Clean, accessible table markup
- * - Support for sortable columns
- * - Row selection
+ * - Sortable columns with custom comparators and multi-column sort
+ * - Per-column filtering
+ * - Row selection with "select all"
+ * - Controlled and uncontrolled modes
  * - Empty state handling
  * - Responsive design
  * - Custom cell rendering
+ * - Virtualized rendering for large data sets
+ * - Expandable detail rows and nested (tree) rows
+ * - Resizable, reorderable and hideable columns
+ * - Sticky header and pinned (sticky) columns
+ * - Inline cell editing with validation and async saves
+ * - Export to CSV, TSV and JSON
+ * - Keyboard grid navigation (WAI-ARIA grid pattern) and sort announcements
+ * - Server-side data with pagination, loading skeletons and error handling
+ * - Collapsible row groups with subtotal and total (aggregate) rows
  *
  * @example
  * // Basic table
@@ -40,14 +115,170 @@ import './Table.css';
  *     { name: 'John', email: 'john@example.com' },
  *   ]}
  * />
+ *
+ * // Sorting (Shift+click for multi-column), filtering and selection
+ * <Table.Simple
+ *   rowKey="id"
+ *   columns={[
+ *     { key: 'name', title: 'Name', sortable: true, filterable: true },
+ *     { key: 'tokens', title: 'Tokens', sortable: true, compare: (a, b) => a - b },
+ *   ]}
+ *   data={sessions}
+ *   defaultSort={[{ key: 'tokens', direction: 'desc' }]}
+ *   selectable
+ *   selectedKeys={selected}
+ *   onSelectionChange={setSelected}
+ * />
+ *
+ * // Virtualized - only rows inside the scroll viewport are rendered
+ * <Table.Simple
+ *   virtualized
+ *   height={480}
+ *   rowHeight={44}
+ *   rowKey="id"
+ *   columns={columns}
+ *   data={logEntries}
+ * />
+ *
+ * // Expandable detail panel and nested rows
+ * <Table.Simple
+ *   rowKey="id"
+ *   columns={columns}
+ *   data={sessions}
+ *   renderExpanded={(session) => <Code block>{session.transcript}</Code>}
+ *   getChildren={(session) => session.subagents}
+ * />
+ *
+ * // Column layout - persist `onColumnStateChange` output and pass it back in
+ * <Table.Simple
+ *   columns={columns}
+ *   data={sessions}
+ *   resizableColumns
+ *   reorderableColumns
+ *   columnMenu
+ *   columnState={savedLayout}
+ *   onColumnStateChange={saveLayout}
+ * />
+ *
+ * // Sticky header and pinned columns
+ * <Table.Simple
+ *   stickyHeader
+ *   height={520}
+ *   columns={[
+ *     { key: 'name', title: 'Name', pin: 'left' },
+ *     ...metricColumns,
+ *     { key: 'actions', title: '', pin: 'right' },
+ *   ]}
+ *   data={sessions}
+ * />
+ *
+ * // Inline editing - double-click or press Enter on a cell to edit
+ * <Table.Simple
+ *   rowKey="id"
+ *   columns={[
+ *     { key: 'name', title: 'Name', editable: true, validate: (v) => !v && 'Required' },
+ *     { key: 'retries', title: 'Retries', editable: true, editor: 'number' },
+ *     { key: 'env', title: 'Env', editable: true, editor: 'enum', editorOptions: envOptions },
+ *     { key: 'enabled', title: 'Enabled', editable: true, editor: 'boolean' },
+ *   ]}
+ *   data={configs}
+ *   onCellEdit={(rowKey, columnKey, value) => api.updateConfig(rowKey, { [columnKey]: value })}
+ * />
+ *
+ * // Export the current view - sorted, filtered, in column order
+ * <Table.Simple
+ *   columns={[
+ *     { key: 'status', title: 'Status', render: (s) => <Badge>{s}</Badge>, exportValue: (s) => s },
+ *     { key: 'actions', title: '', render: renderActions, exportable: false },
+ *   ]}
+ *   data={sessions}
+ *   exportable={['csv', 'json']}
+ *   exportFileName="sessions"
+ * />
+ *
+ * // Keyboard grid - one tab stop, arrows/Home/End/PageUp/PageDown move between
+ * // cells, Space selects the row, Enter activates the cell's control
+ * <Table.Simple interactive selectable columns={columns} data={sessions} />
+ *
+ * // Server-side sorting, filtering and pagination - stale requests are aborted
+ * <Table.Remote
+ *   columns={columns}
+ *   fetchData={({ page, pageSize, sort, filters, signal }) =>
+ *     api.listSessions({ page, pageSize, sort, filters }, { signal })}
+ *   pageSizeOptions={[25, 50, 100]}
+ * />
+ *
+ * // Grouping with subtotals - aggregates: 'sum', 'avg', 'count', 'min', 'max' or (values, rows) => value
+ * <Table.Simple
+ *   groupBy="model"
+ *   columns={[
+ *     { key: 'model', title: 'Model' },
+ *     { key: 'tokens', title: 'Tokens', aggregate: 'sum' },
+ *     { key: 'latency', title: 'Latency', aggregate: 'avg', renderAggregate: (ms) => `${Math.round(ms)} ms` },
+ *   ]}
+ *   data={sessions}
+ * />
  */
-const Table = ({ children, className = '', ...props }) => {
+const Table = ({
+  children,
+  className = '',
+  stickyHeader = false,
+  interactive = false,
+  scrollToRow,
+  wrapperRef,
+  wrapperProps = {},
+  role,
+  onKeyDown,
+  onFocus,
+  ...props
+}) => {
+  const { className: wrapperClassName = '', ...restWrapperProps } = wrapperProps;
+  const tableRef = useRef(null);
+  const [announcement, setAnnouncement] = useState({ message: '', id: 0 });
+  const grid = useGridNavigation({ tableRef, enabled: interactive, scrollToRow });
+
+  // A new id remounts the message so repeating the same text is announced again
+  const announce = useCallback((message) => {
+    setAnnouncement((current) => ({ message, id: current.id + 1 }));
+  }, []);
+  const context = useMemo(() => ({ announce }), [announce]);
+
   return (
-    <div className="l100-table__wrapper">
-      <table className={['l100-table', className].filter(Boolean).join(' ')} {...props}>
-        {children}
-      </table>
-    </div>
+    <TableContext.Provider value={context}>
+      <div
+        ref={wrapperRef}
+        className={[
+          'l100-table__wrapper',
+          stickyHeader && 'l100-table__wrapper--sticky-header',
+          wrapperClassName,
+        ].filter(Boolean).join(' ')}
+        {...restWrapperProps}
+      >
+        <table
+          ref={tableRef}
+          className={[
+            'l100-table',
+            interactive && 'l100-table--interactive',
+            className,
+          ].filter(Boolean).join(' ')}
+          role={role || (interactive ? 'grid' : undefined)}
+          onKeyDown={(e) => {
+            onKeyDown?.(e);
+            grid.onKeyDown(e);
+          }}
+          onFocus={(e) => {
+            onFocus?.(e);
+            grid.onFocus(e);
+          }}
+          {...props}
+        >
+          {children}
+        </table>
+        <div className="l100-table__sr-only" role="status" aria-live="polite">
+          {announcement.message && <span key={announcement.id}>{announcement.message}</span>}
+        </div>
+      </div>
+    </TableContext.Provider>
   );
 };
 
@@ -56,6 +287,22 @@ Table.propTypes = {
   children: PropTypes.node.isRequired,
   /** Additional CSS classes */
   className: PropTypes.string,
+  /** Keep the header visible while the wrapper scrolls (give the wrapper a max height) */
+  stickyHeader: PropTypes.bool,
+  /** Keyboard grid navigation (WAI-ARIA grid pattern) with a single tab stop */
+  interactive: PropTypes.bool,
+  /** Render a row outside a virtualized window for keyboard navigation - (rowNumber) => void, by 1-based aria-rowindex */
+  scrollToRow: PropTypes.func,
+  /** ARIA role (defaults to "grid" when interactive) */
+  role: PropTypes.string,
+  /** Key down handler for the table element */
+  onKeyDown: PropTypes.func,
+  /** Focus handler for the table element */
+  onFocus: PropTypes.func,
+  /** Ref to the scrolling wrapper element */
+  wrapperRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+  /** Props for the scrolling wrapper element (className, style, ...) */
+  wrapperProps: PropTypes.object,
 };
 
 /**
@@ -86,6 +333,20 @@ Table.Body.propTypes = {
   className: PropTypes.string,
 };
 
+/**
+ * Table Foot - totals and summary rows
+ */
+Table.Foot = ({ children, className = '', ...props }) => (
+  <tfoot className={['l100-table__foot', className].filter(Boolean).join(' ')} {...props}>
+    {children}
+  </tfoot>
+);
+
+Table.Foot.propTypes = {
+  children: PropTypes.node.isRequired,
+  className: PropTypes.string,
+};
+
 /**
  * Table Row
  */
@@ -112,35 +373,202 @@ Table.Row.propTypes = {
   className: PropTypes.string,
 };
 
+/**
+ * Visible header text, without the sort indicator
+ */
+const getHeaderLabel = (node) => {
+  if (!node) return '';
+  if (node.getAttribute('aria-label')) return node.getAttribute('aria-label');
+  const content = node.querySelector('.l100-table__header-content');
+  return Array.from(content ? content.childNodes : [])
+    .filter((child) => !child.classList?.contains('l100-table__sort-indicator'))
+    .map((child) => child.textContent)
+    .join('')
+    .trim();
+};
+
 /**
  * Table Header Cell
  */
-Table.Header = ({ children, className = '', sortable = false, sortDirection, onSort, ...props }) => {
+Table.Header = ({
+  children,
+  className = '',
+  sortable = false,
+  sortDirection,
+  sortIndex,
+  onSort,
+  resizable = false,
+  width,
+  minWidth = 48,
+  maxWidth,
+  onResize,
+  onDragStart,
+  style,
+  ...props
+}) => {
+  const headerRef = useRef(null);
+  const resizingRef = useRef(false);
+  const activatedRef = useRef(false);
+  // Width while dragging - reported through onResize once the drag ends
+  const [liveWidth, setLiveWidth] = useState(null);
+  // Removes the document listeners of a drag in progress
+  const stopResizeRef = useRef(null);
+  const prevSortDirectionRef = useRef(sortDirection);
+  const { announce } = useContext(TableContext);
+
+  // Announce sort changes for screen readers. A column losing its sort is only
+  // announced when it was this header that the user activated.
+  useEffect(() => {
+    if (prevSortDirectionRef.current === sortDirection) return;
+    prevSortDirectionRef.current = sortDirection;
+    if (!announce || (!sortDirection && !activatedRef.current)) return;
+
+    activatedRef.current = false;
+    const label = getHeaderLabel(headerRef.current);
+    announce(sortDirection
+      ? `Sorted by ${label}, ${sortDirection === 'asc' ? 'ascending' : 'descending'}`
+      : `${label}, not sorted`);
+  }, [sortDirection, announce]);
+
   const classes = [
     'l100-table__header',
     sortable && 'l100-table__header--sortable',
     sortDirection && `l100-table__header--sort-${sortDirection}`,
+    resizable && 'l100-table__header--resizable',
     className,
   ].filter(Boolean).join(' ');
 
-  const handleClick = () => {
+  const handleClick = (e) => {
     if (sortable && onSort) {
-      onSort();
+      activatedRef.current = true;
+      onSort(e);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (sortable && onSort && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      activatedRef.current = true;
+      onSort(e);
     }
   };
 
+  const clampWidth = (value) => Math.round(Math.min(maxWidth || Infinity, Math.max(minWidth, value)));
+
+  const handleResizePointerDown = (e) => {
+    if (!onResize || !headerRef.current) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const startX = e.clientX;
+    const startWidth = headerRef.current.getBoundingClientRect().width;
+    let nextWidth = null;
+    resizingRef.current = true;
+
+    const handleMove = (event) => {
+      nextWidth = clampWidth(startWidth + event.clientX - startX);
+      setLiveWidth(nextWidth);
+    };
+
+    const stop = () => {
+      resizingRef.current = false;
+      stopResizeRef.current = null;
+      document.removeEventListener('pointermove', handleMove);
+      document.removeEventListener('pointerup', handleUp);
+      document.removeEventListener('pointercancel', handleCancel);
+    };
+
+    const handleUp = () => {
+      stop();
+      setLiveWidth(null);
+      if (nextWidth !== null && nextWidth !== width) onResize(nextWidth);
+    };
+
+    // The browser took the pointer over (touch scrolling) - drop the drag
+    const handleCancel = () => {
+      stop();
+      setLiveWidth(null);
+    };
+
+    stopResizeRef.current?.();
+    stopResizeRef.current = stop;
+    document.addEventListener('pointermove', handleMove);
+    document.addEventListener('pointerup', handleUp);
+    document.addEventListener('pointercancel', handleCancel);
+  };
+
+  // Unmounting mid-drag must not leave listeners that resize a stale column
+  useEffect(() => () => stopResizeRef.current?.(), []);
+
+  // Keyboard resizing for the separator handle
+  const handleResizeKeyDown = (e) => {
+    if (!onResize || !headerRef.current) return;
+    const step = e.shiftKey ? 50 : 10;
+    const current = width || headerRef.current.getBoundingClientRect().width;
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      e.stopPropagation();
+      onResize(clampWidth(current + (e.key === 'ArrowRight' ? step : -step)));
+    }
+  };
+
+  // Don't start a column drag while resizing
+  const handleDragStart = (e) => {
+    if (resizingRef.current) {
+      e.preventDefault();
+      return;
+    }
+    onDragStart?.(e);
+  };
+
+  const currentWidth = liveWidth ?? width;
+
+  const ariaSort = sortDirection === 'asc'
+    ? 'ascending'
+    : sortDirection === 'desc'
+      ? 'descending'
+      : sortable ? 'none' : undefined;
+
   return (
-    <th className={classes} onClick={handleClick} {...props}>
+    <th
+      ref={headerRef}
+      className={classes}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      onDragStart={onDragStart ? handleDragStart : undefined}
+      tabIndex={sortable ? 0 : undefined}
+      aria-sort={ariaSort}
+      style={currentWidth !== undefined ? { width: currentWidth, minWidth: currentWidth, ...style } : style}
+      {...props}
+    >
       <span className="l100-table__header-content">
         {children}
         {sortable && (
-          <span className="l100-table__sort-indicator">
+          <span className="l100-table__sort-indicator" aria-hidden="true">
             {sortDirection === 'asc' && '▲'}
             {sortDirection === 'desc' && '▼'}
             {!sortDirection && '⇅'}
+            {sortDirection && sortIndex !== undefined && (
+              <span className="l100-table__sort-index">{sortIndex}</span>
+            )}
           </span>
         )}
       </span>
+      {resizable && (
+        <span
+          className="l100-table__resize-handle"
+          role="separator"
+          aria-orientation="vertical"
+          aria-label="Resize column"
+          aria-valuenow={currentWidth}
+          tabIndex={0}
+          draggable={false}
+          onPointerDown={handleResizePointerDown}
+          onKeyDown={handleResizeKeyDown}
+          onClick={(e) => e.stopPropagation()}
+        />
+      )}
     </th>
   );
 };
@@ -152,8 +580,24 @@ Table.Header.propTypes = {
   sortable: PropTypes.bool,
   /** Current sort direction */
   sortDirection: PropTypes.oneOf(['asc', 'desc']),
-  /** Sort handler */
+  /** Position in a multi-column sort (shown next to the indicator) */
+  sortIndex: PropTypes.number,
+  /** Sort handler - receives the click/keyboard event (check `shiftKey` for multi-sort) */
   onSort: PropTypes.func,
+  /** Show a drag handle to resize the column */
+  resizable: PropTypes.bool,
+  /** Column width in px */
+  width: PropTypes.number,
+  /** Minimum width when resizing */
+  minWidth: PropTypes.number,
+  /** Maximum width when resizing */
+  maxWidth: PropTypes.number,
+  /** Resize handler - receives the new width in px when a drag ends, or on each arrow key press */
+  onResize: PropTypes.func,
+  /** Drag start handler (for column reordering) */
+  onDragStart: PropTypes.func,
+  /** Inline styles */
+  style: PropTypes.object,
   /** Additional CSS classes */
   className: PropTypes.string,
 };
@@ -176,9 +620,672 @@ Table.Cell.propTypes = {
 
 /**
  * Simple Data-Driven Table
+ *
+ * Owns sort, filter and selection state. Each piece works uncontrolled
+ * (`defaultSort`, `defaultFilters`, `defaultSelectedKeys`) or controlled
+ * (`sort`, `filters`, `selectedKeys` plus the matching `on*Change` callback).
  */
-Table.Simple = ({ columns, data, emptyText = 'No data', className = '', ...props }) => {
-  if (!data || data.length === 0) {
+Table.Simple = ({
+  columns,
+  data,
+  rowKey,
+  emptyText = 'No data',
+  sort: sortProp,
+  defaultSort = [],
+  onSortChange,
+  filters: filtersProp,
+  defaultFilters = {},
+  onFiltersChange,
+  selectable = false,
+  selectedKeys: selectedKeysProp,
+  defaultSelectedKeys = [],
+  onSelectionChange,
+  virtualized = false,
+  stickyHeader = false,
+  height,
+  rowHeight,
+  estimatedRowHeight = 44,
+  overscan = 5,
+  renderExpanded,
+  getChildren,
+  expandedKeys: expandedKeysProp,
+  defaultExpandedKeys = [],
+  onExpandedChange,
+  columnState: columnStateProp,
+  defaultColumnState = {},
+  onColumnStateChange,
+  resizableColumns = false,
+  reorderableColumns = false,
+  columnMenu = false,
+  onCellEdit,
+  exportable = false,
+  exportFileName = 'table',
+  interactive = false,
+  manual = false,
+  loading = false,
+  loadingRows = 5,
+  groupBy,
+  renderGroupLabel,
+  collapsedGroups: collapsedGroupsProp,
+  defaultCollapsedGroups = [],
+  onCollapsedGroupsChange,
+  className = '',
+  ...props
+}) => {
+  const wrapperRef = useRef(null);
+  const [dragTarget, setDragTarget] = useState(null);
+  const [editingCell, setEditingCell] = useState(null);
+  const refocusCellRef = useRef(null);
+  const [sort, setSort] = useControllableState(sortProp, defaultSort, onSortChange);
+  const [filters, setFilters] = useControllableState(filtersProp, defaultFilters, onFiltersChange);
+  const [selectedKeys, setSelectedKeys] = useControllableState(
+    selectedKeysProp,
+    defaultSelectedKeys,
+    onSelectionChange
+  );
+  const [expandedKeys, setExpandedKeys] = useControllableState(
+    expandedKeysProp,
+    defaultExpandedKeys,
+    onExpandedChange
+  );
+
+  const [collapsedGroups, setCollapsedGroups] = useControllableState(
+    collapsedGroupsProp,
+    defaultCollapsedGroups,
+    onCollapsedGroupsChange
+  );
+
+  const [rawColumnState, setRawColumnState] = useControllableState(
+    columnStateProp,
+    defaultColumnState,
+    onColumnStateChange
+  );
+  const columnState = useMemo(
+    () => normalizeColumnState(columns, rawColumnState),
+    [columns, rawColumnState]
+  );
+  const visibleColumns = useMemo(
+    () => resolveColumns(columns, columnState),
+    [columns, columnState]
+  );
+
+  const hasPinnedLeft = visibleColumns.some((col) => col.pin === 'left');
+  const hasPinned = hasPinnedLeft || visibleColumns.some((col) => col.pin === 'right');
+  const [pinOffsets, setPinOffsets] = useState({});
+  const [scrollShadows, setScrollShadows] = useState({ left: false, right: false });
+
+  // Always emit a complete, serializable layout
+  const updateColumnState = (updater) => {
+    setRawColumnState((current) => updater(normalizeColumnState(columns, current)));
+  };
+
+  const isTree = Boolean(getChildren);
+  const expandable = Boolean(renderExpanded);
+
+  const hasAggregates = visibleColumns.some((col) => col.aggregate);
+
+  // In manual mode the server has already sorted and filtered `data`
+  const items = useMemo(() => buildRowItems(data, {
+    columns,
+    rowKey,
+    sort: manual ? [] : sort,
+    filters: manual ? {} : filters,
+    getChildren,
+    expandable,
+    expandedKeys,
+    groupBy,
+    collapsedGroups,
+    groupFooters: hasAggregates,
+  }), [
+    data, columns, rowKey, sort, filters, manual, getChildren, expandable, expandedKeys,
+    groupBy, collapsedGroups, hasAggregates,
+  ]);
+
+  // Totals cover every row that passes the filters, whether or not its group is collapsed
+  const totalRows = useMemo(
+    () => (hasAggregates ? (manual ? data || [] : filterRows(data || [], filters, columns)) : []),
+    [hasAggregates, manual, data, filters, columns]
+  );
+  const showTotals = hasAggregates && !loading && totalRows.length > 0;
+
+  const getVirtualKey = useCallback((index) => items[index].key, [items]);
+  const { range, paddingTop, paddingBottom, scrollToIndex } = useVirtualRows({
+    count: items.length,
+    getKey: getVirtualKey,
+    scrollRef: wrapperRef,
+    // The wrapper only exists once there is data to render
+    enabled: virtualized && Boolean(data && data.length),
+    rowHeight,
+    estimatedRowHeight,
+    overscan,
+  });
+
+  // Measure header cells to work out the sticky offset of every pinned column
+  const measurePinnedColumns = useCallback(() => {
+    const headerRow = wrapperRef.current?.querySelector('thead tr');
+    if (!hasPinned || !headerRow) return;
+
+    const widths = Array.from(headerRow.children).map((cell) => cell.getBoundingClientRect().width);
+    const firstColumn = selectable ? 1 : 0;
+    const next = {};
+
+    let left = 0;
+    if (selectable && hasPinnedLeft) {
+      next[SELECT_COLUMN_KEY] = 0;
+      left += widths[0];
+    }
+    visibleColumns.forEach((col, index) => {
+      if (col.pin === 'left') {
+        next[col.key] = left;
+        left += widths[firstColumn + index];
+      }
+    });
+
+    let right = 0;
+    for (let index = visibleColumns.length - 1; index >= 0; index--) {
+      const col = visibleColumns[index];
+      if (col.pin === 'right') {
+        next[col.key] = right;
+        right += widths[firstColumn + index];
+      }
+    }
+
+    setPinOffsets((current) => {
+      const keys = Object.keys(next);
+      const unchanged = keys.length === Object.keys(current).length &&
+        keys.every((key) => Math.abs(current[key] - next[key]) < 0.5);
+      return unchanged ? current : next;
+    });
+  }, [hasPinned, hasPinnedLeft, selectable, visibleColumns]);
+
+  // Show shadows when content is scrolled under the pinned areas
+  const updateScrollShadows = useCallback(() => {
+    const node = wrapperRef.current;
+    if (!hasPinned || !node) return;
+
+    const left = node.scrollLeft > 0;
+    const right = node.scrollLeft + node.clientWidth < node.scrollWidth - 1;
+    setScrollShadows((current) => (
+      current.left === left && current.right === right ? current : { left, right }
+    ));
+  }, [hasPinned]);
+
+  useIsomorphicLayoutEffect(() => {
+    measurePinnedColumns();
+    updateScrollShadows();
+  });
+
+  const hasData = Boolean(data && data.length);
+  useEffect(() => {
+    const node = wrapperRef.current;
+    if (!hasPinned || !node) return undefined;
+
+    const handleChange = () => {
+      measurePinnedColumns();
+      updateScrollShadows();
+    };
+
+    node.addEventListener('scroll', updateScrollShadows, { passive: true });
+    let observer;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(handleChange);
+      observer.observe(node);
+      const tableNode = node.querySelector('table');
+      if (tableNode) observer.observe(tableNode);
+    } else {
+      window.addEventListener('resize', handleChange);
+    }
+
+    return () => {
+      node.removeEventListener('scroll', updateScrollShadows);
+      if (observer) {
+        observer.disconnect();
+      } else {
+        window.removeEventListener('resize', handleChange);
+      }
+    };
+  }, [hasPinned, hasData, measurePinnedColumns, updateScrollShadows]);
+
+  const lastPinnedLeft = [...visibleColumns].reverse().find((col) => col.pin === 'left');
+  const firstPinnedRight = visibleColumns.find((col) => col.pin === 'right');
+
+  // Class names and sticky offset for a pinned header or body cell
+  const getPinProps = (key, pin, className) => {
+    if (!pin) return className ? { className } : {};
+
+    const isEdge = key === (pin === 'left' ? lastPinnedLeft?.key : firstPinnedRight?.key);
+    return {
+      className: [
+        'l100-table__pinned',
+        `l100-table__pinned--${pin}`,
+        isEdge && 'l100-table__pinned--edge',
+        className,
+      ].filter(Boolean).join(' '),
+      style: { [pin]: pinOffsets[key] || 0 },
+    };
+  };
+
+  const selectPin = hasPinnedLeft ? 'left' : undefined;
+
+  const hasFilters = visibleColumns.some((col) => col.filterable);
+  const headerRowCount = hasFilters ? 2 : 1;
+  const columnCount = visibleColumns.length + (selectable ? 1 : 0);
+
+  const visibleKeys = items.filter((item) => item.type === 'row').map(({ key }) => key);
+  const selectedVisibleCount = visibleKeys.filter((key) => selectedKeys.includes(key)).length;
+  const allSelected = visibleKeys.length > 0 && selectedVisibleCount === visibleKeys.length;
+  const someSelected = selectedVisibleCount > 0 && !allSelected;
+
+  const handleSort = (key) => (e) => {
+    setSort((current) => getNextSort(current, key, e.shiftKey));
+  };
+
+  const handleFilterChange = (key) => (e) => {
+    const { value } = e.target;
+    setFilters((current) => ({ ...current, [key]: value }));
+  };
+
+  const handleSelectAll = (checked) => {
+    setSelectedKeys((current) => (
+      checked
+        ? [...current, ...visibleKeys.filter((key) => !current.includes(key))]
+        : current.filter((key) => !visibleKeys.includes(key))
+    ));
+  };
+
+  const handleSelectRow = (key) => (checked) => {
+    setSelectedKeys((current) => (
+      checked ? [...current, key] : current.filter((k) => k !== key)
+    ));
+  };
+
+  const handleColumnResize = (key) => (width) => {
+    updateColumnState((current) => ({ ...current, widths: { ...current.widths, [key]: width } }));
+  };
+
+  const toggleColumnHidden = (key) => {
+    updateColumnState((current) => ({
+      ...current,
+      hidden: current.hidden.includes(key)
+        ? current.hidden.filter((k) => k !== key)
+        : [...current.hidden, key],
+    }));
+  };
+
+  const resetColumnState = () => {
+    setRawColumnState(normalizeColumnState(columns, defaultColumnState));
+  };
+
+  const getColumnDragProps = (key) => {
+    if (!reorderableColumns) return {};
+
+    const getSide = (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      return e.clientX > rect.left + rect.width / 2 ? 'after' : 'before';
+    };
+
+    return {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', key);
+        setDragTarget({ from: key });
+      },
+      onDragOver: (e) => {
+        if (!dragTarget) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        const side = getSide(e);
+        if (dragTarget.over !== key || dragTarget.side !== side) {
+          setDragTarget({ ...dragTarget, over: key, side });
+        }
+      },
+      onDrop: (e) => {
+        if (!dragTarget) return;
+        e.preventDefault();
+        const side = getSide(e);
+        updateColumnState((current) => ({
+          ...current,
+          order: moveColumn(current.order, dragTarget.from, key, side),
+        }));
+        setDragTarget(null);
+      },
+      onDragEnd: () => setDragTarget(null),
+    };
+  };
+
+  const toggleExpanded = (key, expand) => {
+    setExpandedKeys((current) => {
+      const isExpanded = current.includes(key);
+      if (expand === isExpanded) return current;
+      return isExpanded ? current.filter((k) => k !== key) : [...current, key];
+    });
+  };
+
+  const toggleGroup = (value, expand) => {
+    const key = getGroupKey(value);
+    setCollapsedGroups((current) => {
+      const isCollapsed = current.some((group) => getGroupKey(group) === key);
+      if (expand === !isCollapsed) return current;
+      return isCollapsed ? current.filter((group) => getGroupKey(group) !== key) : [...current, value];
+    });
+  };
+
+  // In grid mode focus stays on cells rather than the toggle button
+  const focusRowToggle = (key) => {
+    const index = items.findIndex((item) => item.type === 'row' && item.key === key);
+    wrapperRef.current
+      ?.querySelector(`tr[data-row-index="${index}"] ${interactive ? '.l100-table__cell--expandable' : '.l100-table__expand-toggle'}`)
+      ?.focus();
+  };
+
+  // ArrowRight expands, ArrowLeft collapses (or moves to the parent row).
+  // Only from the toggle's cell, so grid navigation keeps arrows elsewhere.
+  const handleRowKeyDown = (item) => (e) => {
+    if (!e.target.closest('.l100-table__cell--expandable')) return;
+
+    if (e.key === 'ArrowRight' && item.expandable && !item.isExpanded) {
+      e.preventDefault();
+      toggleExpanded(item.key, true);
+    } else if (e.key === 'ArrowLeft') {
+      if (item.isExpanded) {
+        e.preventDefault();
+        toggleExpanded(item.key, false);
+      } else if (item.depth > 0) {
+        e.preventDefault();
+        focusRowToggle(item.parentKey);
+      }
+    }
+  };
+
+  const renderExpandToggle = (item) => (
+    item.expandable ? (
+      <button
+        type="button"
+        className={[
+          'l100-table__expand-toggle',
+          item.isExpanded && 'l100-table__expand-toggle--expanded',
+        ].filter(Boolean).join(' ')}
+        onClick={() => toggleExpanded(item.key, !item.isExpanded)}
+        aria-expanded={item.isExpanded}
+        aria-label={item.isExpanded ? 'Collapse row' : 'Expand row'}
+      >
+        <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
+          <path d="M4.5 2.5L8 6L4.5 9.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
+        </svg>
+      </button>
+    ) : (
+      <span className="l100-table__expand-spacer" aria-hidden="true" />
+    )
+  );
+
+  const startEditing = (rowKey, columnKey) => {
+    setEditingCell({ rowKey, columnKey });
+  };
+
+  const stopEditing = (rowIndex, columnKey, { refocus } = {}) => {
+    setEditingCell(null);
+    if (refocus) {
+      refocusCellRef.current = { rowIndex, columnKey };
+    }
+  };
+
+  // Return focus to a cell once its editor has closed
+  useEffect(() => {
+    if (editingCell || !refocusCellRef.current) return;
+    const { rowIndex, columnKey } = refocusCellRef.current;
+    refocusCellRef.current = null;
+    wrapperRef.current
+      ?.querySelector(`tr[data-row-index="${rowIndex}"] td[data-column-key="${columnKey}"]`)
+      ?.focus();
+  });
+
+  const getEditableCellProps = (item, col) => ({
+    tabIndex: 0,
+    'data-column-key': col.key,
+    onDoubleClick: () => startEditing(item.key, col.key),
+    onKeyDown: (e) => {
+      if (e.target === e.currentTarget && (e.key === 'Enter' || e.key === 'F2')) {
+        e.preventDefault();
+        startEditing(item.key, col.key);
+      }
+    },
+  });
+
+  const renderCellContent = (item, col, rowIndex) => {
+    const { row, key } = item;
+    const value = row[col.key];
+    const content = col.render ? col.render(value, row) : value;
+
+    if (!isCellEditable(col, row)) {
+      return { content };
+    }
+
+    const isBoolean = getEditorType(col) === 'boolean';
+    const isEditing = editingCell && editingCell.rowKey === key && editingCell.columnKey === col.key;
+
+    if (isBoolean || isEditing) {
+      return {
+        className: isEditing ? 'l100-table__cell--editing' : undefined,
+        content: (
+          <CellEditor
+            column={col}
+            row={row}
+            value={value}
+            onCommit={(next, options) => Promise.resolve(onCellEdit?.(key, col.key, next))
+              .then(() => {
+                if (!isBoolean) stopEditing(rowIndex, col.key, options);
+              })}
+            onCancel={(options) => stopEditing(rowIndex, col.key, options)}
+          />
+        ),
+        cellProps: { 'data-column-key': col.key },
+      };
+    }
+
+    return {
+      className: 'l100-table__cell--editable',
+      content,
+      cellProps: getEditableCellProps(item, col),
+    };
+  };
+
+  const renderDetail = (item, index) => (
+    <Table.Row
+      key={item.key}
+      className="l100-table__row--detail"
+      aria-rowindex={virtualized ? headerRowCount + index + 1 : undefined}
+      data-index={virtualized ? index : undefined}
+    >
+      <Table.Cell colSpan={columnCount} className="l100-table__cell--detail">
+        {renderExpanded(item.row)}
+      </Table.Cell>
+    </Table.Row>
+  );
+
+  const getGroupLabel = (item) => {
+    if (renderGroupLabel) return renderGroupLabel(item.value, item.rows);
+
+    const column = typeof groupBy === 'string' ? columns.find((col) => col.key === groupBy) : null;
+    const isEmpty = item.value === null || item.value === undefined || item.value === '';
+    const valueLabel = isEmpty
+      ? '(empty)'
+      : column?.render ? column.render(item.value, item.rows[0]) : String(item.value);
+
+    return column ? (
+      <>
+        <span className="l100-table__group-column">{column.title}:</span> {valueLabel}
+      </>
+    ) : valueLabel;
+  };
+
+  const renderGroup = (item, index) => (
+    <Table.Row
+      key={item.key}
+      className="l100-table__row--group"
+      aria-expanded={item.isExpanded}
+      aria-rowindex={virtualized ? headerRowCount + index + 1 : undefined}
+      data-index={virtualized ? index : undefined}
+      data-row-index={index}
+      onKeyDown={(e) => {
+        if (e.key === 'ArrowRight' && !item.isExpanded) {
+          e.preventDefault();
+          toggleGroup(item.value, true);
+        } else if (e.key === 'ArrowLeft' && item.isExpanded) {
+          e.preventDefault();
+          toggleGroup(item.value, false);
+        }
+      }}
+    >
+      <Table.Cell colSpan={columnCount} className="l100-table__cell--group">
+        <span className="l100-table__group-content">
+          <button
+            type="button"
+            className={[
+              'l100-table__expand-toggle',
+              item.isExpanded && 'l100-table__expand-toggle--expanded',
+            ].filter(Boolean).join(' ')}
+            onClick={() => toggleGroup(item.value, !item.isExpanded)}
+            aria-expanded={item.isExpanded}
+            aria-label={item.isExpanded ? 'Collapse group' : 'Expand group'}
+          >
+            <svg width="12" height="12" viewBox="0 0 12 12" fill="none" aria-hidden="true">
+              <path d="M4.5 2.5L8 6L4.5 9.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round" />
+            </svg>
+          </button>
+          <span className="l100-table__group-label">{getGroupLabel(item)}</span>
+          <span className="l100-table__group-count">{item.rows.length}</span>
+        </span>
+      </Table.Cell>
+    </Table.Row>
+  );
+
+  const formatAggregate = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    if (value instanceof Date) return value.toLocaleString();
+    return value;
+  };
+
+  // Aggregate cells for a set of rows; the first column is labelled when it has no aggregate
+  const renderAggregateCells = (rows, label) => (
+    <>
+      {selectable && <Table.Cell {...getPinProps(SELECT_COLUMN_KEY, selectPin, 'l100-table__cell--select')} />}
+      {visibleColumns.map((col, colIndex) => {
+        const value = aggregateColumn(col, rows);
+        let content = null;
+        if (col.aggregate) {
+          content = col.renderAggregate ? col.renderAggregate(value, rows) : formatAggregate(value);
+        } else if (colIndex === 0) {
+          content = <span className="l100-table__aggregate-label">{label}</span>;
+        }
+        return (
+          <Table.Cell
+            key={col.key}
+            {...getPinProps(col.key, col.pin, col.aggregate ? 'l100-table__cell--aggregate' : undefined)}
+          >
+            {content}
+          </Table.Cell>
+        );
+      })}
+    </>
+  );
+
+  const renderGroupFooter = (item, index) => (
+    <Table.Row
+      key={item.key}
+      className="l100-table__row--group-footer"
+      aria-rowindex={virtualized ? headerRowCount + index + 1 : undefined}
+      data-index={virtualized ? index : undefined}
+      data-row-index={index}
+    >
+      {renderAggregateCells(item.rows, 'Subtotal')}
+    </Table.Row>
+  );
+
+  const renderRow = (item, index) => {
+    if (item.type === 'detail') return renderDetail(item, index);
+    if (item.type === 'group') return renderGroup(item, index);
+    if (item.type === 'groupFooter') return renderGroupFooter(item, index);
+
+    const { row, key } = item;
+    const isSelected = selectable && selectedKeys.includes(key);
+    const hasToggleColumn = isTree || expandable;
+
+    return (
+      <Table.Row
+        key={key}
+        selected={isSelected}
+        aria-selected={selectable ? isSelected : undefined}
+        aria-rowindex={virtualized ? headerRowCount + index + 1 : undefined}
+        aria-level={isTree ? item.depth + 1 : undefined}
+        aria-expanded={item.expandable ? item.isExpanded : undefined}
+        data-index={virtualized ? index : undefined}
+        data-row-index={index}
+        onKeyDown={hasToggleColumn ? handleRowKeyDown(item) : undefined}
+        style={virtualized && rowHeight ? { height: rowHeight } : undefined}
+      >
+        {selectable && (
+          <Table.Cell {...getPinProps(SELECT_COLUMN_KEY, selectPin, 'l100-table__cell--select')}>
+            <Checkbox
+              checked={isSelected}
+              onChange={handleSelectRow(key)}
+              aria-label="Select row"
+            />
+          </Table.Cell>
+        )}
+        {visibleColumns.map((col, colIndex) => {
+          const { content, className: cellClassName, cellProps } = renderCellContent(item, col, index);
+
+          if (colIndex !== 0 || !hasToggleColumn) {
+            return (
+              <Table.Cell key={col.key} {...cellProps} {...getPinProps(col.key, col.pin, cellClassName)}>
+                {content}
+              </Table.Cell>
+            );
+          }
+
+          return (
+            <Table.Cell
+              key={col.key}
+              {...cellProps}
+              {...getPinProps(col.key, col.pin, ['l100-table__cell--expandable', cellClassName].filter(Boolean).join(' '))}
+            >
+              <span
+                className="l100-table__cell-tree"
+                style={item.depth ? { paddingLeft: `${item.depth * 1.25}rem` } : undefined}
+              >
+                {renderExpandToggle(item)}
+                <span className="l100-table__cell-tree-content">{content}</span>
+              </span>
+            </Table.Cell>
+          );
+        })}
+      </Table.Row>
+    );
+  };
+
+  const renderLoadingRows = () => Array.from({ length: loadingRows }, (_, index) => (
+    <Table.Row key={`loading-${index}`} className="l100-table__row--loading" aria-hidden="true">
+      {selectable && <Table.Cell {...getPinProps(SELECT_COLUMN_KEY, selectPin, 'l100-table__cell--select')} />}
+      {visibleColumns.map((col) => (
+        <Table.Cell key={col.key} {...getPinProps(col.key, col.pin)}>
+          <Skeleton width={`${60 + ((index * 7 + col.key.length * 13) % 35)}%`} />
+        </Table.Cell>
+      ))}
+    </Table.Row>
+  ));
+
+  const renderSpacer = (spacerHeight, position) => (
+    spacerHeight > 0 && (
+      <tr key={`spacer-${position}`} className="l100-table__spacer" aria-hidden="true">
+        <td colSpan={columnCount} style={{ height: spacerHeight }} />
+      </tr>
+    )
+  );
+
+  // Manual tables keep their header so sort and filters can still be changed
+  if ((!data || data.length === 0) && !manual && !loading) {
     return (
       <div className="l100-table__empty">
         {emptyText}
@@ -186,32 +1293,202 @@ Table.Simple = ({ columns, data, emptyText = 'No data', className = '', ...props
     );
   }
 
-  return (
-    <Table className={className} {...props}>
+  // Export the current view: column order and visibility, sort and filters. Every row
+  // that passes the filters is included, whether or not its group or parent is collapsed.
+  const handleExport = (format) => {
+    const rows = buildRowItems(data, {
+      columns,
+      rowKey,
+      sort: manual ? [] : sort,
+      filters: manual ? {} : filters,
+      getChildren,
+      groupBy,
+      expandAll: true,
+    })
+      .filter((item) => item.type === 'row')
+      .map((item) => item.row);
+    downloadFile(serializeRows(visibleColumns, rows, format), exportFileName, format);
+  };
+  const exportFormats = exportable === true ? Object.keys(EXPORT_FORMATS) : exportable || [];
+
+  const visibleCount = visibleColumns.length;
+  const columnMenuNode = columnMenu && (
+    <Menu>
+      <Menu.Trigger>Columns</Menu.Trigger>
+      <Menu.Content>
+        <Menu.Label>Show columns</Menu.Label>
+        {columnState.order.map((key) => {
+          const col = columns.find((c) => c.key === key);
+          if (col.hideable === false) return null;
+          const isVisible = !columnState.hidden.includes(key);
+          // Keep at least one column visible
+          const isLocked = isVisible && visibleCount === 1;
+          return (
+            <Menu.CheckboxItem
+              key={key}
+              checked={isVisible}
+              onCheckedChange={() => toggleColumnHidden(key)}
+              disabled={isLocked}
+              closeOnSelect={false}
+            >
+              {col.title}
+            </Menu.CheckboxItem>
+          );
+        })}
+        <Menu.Separator />
+        <Menu.Item onClick={resetColumnState}>Reset columns</Menu.Item>
+      </Menu.Content>
+    </Menu>
+  );
+
+  const exportMenuNode = exportFormats.length > 0 && (
+    <Menu>
+      <Menu.Trigger>Export</Menu.Trigger>
+      <Menu.Content>
+        {exportFormats.map((format) => (
+          <Menu.Item key={format} onClick={() => handleExport(format)}>
+            {EXPORT_FORMATS[format].label}
+          </Menu.Item>
+        ))}
+      </Menu.Content>
+    </Menu>
+  );
+
+  const toolbar = (columnMenuNode || exportMenuNode) && (
+    <div className="l100-table__toolbar">
+      {columnMenuNode}
+      {exportMenuNode}
+    </div>
+  );
+
+  const maxHeight = height || (virtualized ? 400 : undefined);
+
+  const table = (
+    <Table
+      className={className}
+      stickyHeader={stickyHeader || virtualized}
+      wrapperRef={wrapperRef}
+      wrapperProps={{
+        className: [
+          virtualized && 'l100-table__wrapper--virtualized',
+          maxHeight && 'l100-table__wrapper--scrollable',
+          scrollShadows.left && 'l100-table__wrapper--shadow-left',
+          scrollShadows.right && 'l100-table__wrapper--shadow-right',
+        ].filter(Boolean).join(' '),
+        style: maxHeight ? { maxHeight } : undefined,
+      }}
+      interactive={interactive}
+      scrollToRow={virtualized ? (rowNumber) => scrollToIndex(rowNumber - headerRowCount - 1) : undefined}
+      role={isTree ? 'treegrid' : undefined}
+      aria-multiselectable={interactive && selectable ? true : undefined}
+      aria-busy={loading || undefined}
+      aria-rowcount={virtualized ? headerRowCount + items.length + (showTotals ? 1 : 0) : undefined}
+      {...props}
+    >
       <Table.Head>
         <Table.Row>
-          {columns.map((col) => (
-            <Table.Header key={col.key}>
-              {col.title}
+          {selectable && (
+            <Table.Header {...getPinProps(SELECT_COLUMN_KEY, selectPin, 'l100-table__header--select')}>
+              <Checkbox
+                checked={allSelected}
+                indeterminate={someSelected}
+                onChange={handleSelectAll}
+                disabled={loading}
+                aria-label="Select all rows"
+              />
             </Table.Header>
-          ))}
+          )}
+          {visibleColumns.map((col) => {
+            const sortPosition = sort.findIndex((entry) => entry.key === col.key);
+            const isDropTarget = dragTarget && dragTarget.over === col.key && dragTarget.from !== col.key;
+            const pinProps = getPinProps(col.key, col.pin, [
+              dragTarget?.from === col.key && 'l100-table__header--dragging',
+              isDropTarget && `l100-table__header--drop-${dragTarget.side}`,
+            ].filter(Boolean).join(' '));
+            return (
+              <Table.Header
+                key={col.key}
+                {...pinProps}
+                sortable={col.sortable}
+                sortDirection={sortPosition >= 0 ? sort[sortPosition].direction : undefined}
+                sortIndex={sort.length > 1 && sortPosition >= 0 ? sortPosition + 1 : undefined}
+                onSort={handleSort(col.key)}
+                resizable={resizableColumns && col.resizable !== false}
+                width={col.width}
+                minWidth={col.minWidth}
+                maxWidth={col.maxWidth}
+                onResize={handleColumnResize(col.key)}
+                {...getColumnDragProps(col.key)}
+              >
+                {col.title}
+              </Table.Header>
+            );
+          })}
         </Table.Row>
+        {hasFilters && (
+          <Table.Row className="l100-table__filter-row">
+            {selectable && <Table.Header {...getPinProps(SELECT_COLUMN_KEY, selectPin)} />}
+            {visibleColumns.map((col) => (
+              <Table.Header key={col.key} {...getPinProps(col.key, col.pin, 'l100-table__header--filter')}>
+                {col.filterable && (
+                  <Input
+                    size="small"
+                    value={filters[col.key] || ''}
+                    onChange={handleFilterChange(col.key)}
+                    placeholder="Filter..."
+                    aria-label={`Filter ${col.title}`}
+                  />
+                )}
+              </Table.Header>
+            ))}
+          </Table.Row>
+        )}
       </Table.Head>
       <Table.Body>
-        {data.map((row, index) => (
-          <Table.Row key={index}>
-            {columns.map((col) => (
-              <Table.Cell key={col.key}>
-                {col.render ? col.render(row[col.key], row) : row[col.key]}
-              </Table.Cell>
-            ))}
+        {loading ? (
+          renderLoadingRows()
+        ) : items.length === 0 ? (
+          <Table.Row className="l100-table__empty-row">
+            <Table.Cell colSpan={columnCount}>{emptyText}</Table.Cell>
           </Table.Row>
-        ))}
+        ) : virtualized ? (
+          <>
+            {renderSpacer(paddingTop, 'top')}
+            {items.slice(range.start, range.end).map((item, offset) => renderRow(item, range.start + offset))}
+            {renderSpacer(paddingBottom, 'bottom')}
+          </>
+        ) : (
+          items.map(renderRow)
+        )}
       </Table.Body>
+      {showTotals && (
+        <Table.Foot>
+          <Table.Row
+            className="l100-table__row--total"
+            aria-rowindex={virtualized ? headerRowCount + items.length + 1 : undefined}
+          >
+            {renderAggregateCells(totalRows, 'Total')}
+          </Table.Row>
+        </Table.Foot>
+      )}
     </Table>
   );
+
+  return toolbar ? (
+    <>
+      {toolbar}
+      {table}
+    </>
+  ) : table;
 };
 
+const sortShape = PropTypes.arrayOf(
+  PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    direction: PropTypes.oneOf(['asc', 'desc']).isRequired,
+  })
+);
+
 Table.Simple.propTypes = {
   /** Column definitions */
   columns: PropTypes.arrayOf(
@@ -219,12 +1496,229 @@ Table.Simple.propTypes = {
       key: PropTypes.string.isRequired,
       title: PropTypes.string.isRequired,
       render: PropTypes.func,
+      /** Allow sorting by this column */
+      sortable: PropTypes.bool,
+      /** Custom comparator (a, b, rowA, rowB) => number - empty values are sorted last before it runs */
+      compare: PropTypes.func,
+      /** Show a filter input for this column */
+      filterable: PropTypes.bool,
+      /** Custom filter (value, filterValue, row) => boolean */
+      filter: PropTypes.func,
+      /** Set to false to disable resizing this column */
+      resizable: PropTypes.bool,
+      /** Set to false to keep this column out of the visibility menu */
+      hideable: PropTypes.bool,
+      /** Minimum width in px when resizing */
+      minWidth: PropTypes.number,
+      /** Maximum width in px when resizing */
+      maxWidth: PropTypes.number,
+      /** Keep the column visible while scrolling horizontally */
+      pin: PropTypes.oneOf(['left', 'right']),
+      /** Allow inline editing - boolean or (row) => boolean */
+      editable: PropTypes.oneOfType([PropTypes.bool, PropTypes.func]),
+      /** Built-in editor to use */
+      editor: PropTypes.oneOf(['text', 'number', 'enum', 'boolean']),
+      /** Options for the enum editor: [{ value, label }] */
+      editorOptions: PropTypes.arrayOf(PropTypes.shape({
+        value: PropTypes.any.isRequired,
+        label: PropTypes.string.isRequired,
+      })),
+      /** Validate an edited value: (value, row) => error message | falsy */
+      validate: PropTypes.func,
+      /** Value written to exported files: (value, row) => any. Defaults to the raw cell value */
+      exportValue: PropTypes.func,
+      /** Set to false to leave this column out of exports */
+      exportable: PropTypes.bool,
+      /** Summarize the column in group footers and the table footer */
+      aggregate: PropTypes.oneOfType([
+        PropTypes.oneOf(['sum', 'avg', 'count', 'min', 'max']),
+        PropTypes.func,
+      ]),
+      /** Render an aggregate value: (value, rows) => node */
+      renderAggregate: PropTypes.func,
     })
   ).isRequired,
   /** Table data */
   data: PropTypes.arrayOf(PropTypes.object).isRequired,
-  /** Text to show when no data */
-  emptyText: PropTypes.string,
+  /** Row identity - property name or (row, index) => key. Defaults to the row index */
+  rowKey: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  /** Content to show when there is no data */
+  emptyText: PropTypes.node,
+  /** Sort state (controlled) */
+  sort: sortShape,
+  /** Initial sort state (uncontrolled) */
+  defaultSort: sortShape,
+  /** Sort change handler */
+  onSortChange: PropTypes.func,
+  /** Filter values by column key (controlled) */
+  filters: PropTypes.object,
+  /** Initial filter values (uncontrolled) */
+  defaultFilters: PropTypes.object,
+  /** Filter change handler */
+  onFiltersChange: PropTypes.func,
+  /** Show row selection checkboxes */
+  selectable: PropTypes.bool,
+  /** Selected row keys (controlled) */
+  selectedKeys: PropTypes.array,
+  /** Initially selected row keys (uncontrolled) */
+  defaultSelectedKeys: PropTypes.array,
+  /** Selection change handler */
+  onSelectionChange: PropTypes.func,
+  /** Only render rows inside the scroll viewport */
+  virtualized: PropTypes.bool,
+  /** Keep the header visible while scrolling (use with `height`) */
+  stickyHeader: PropTypes.bool,
+  /** Max height of the scroll viewport (defaults to 400 when virtualized) */
+  height: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+  /** Fixed row height in px - omit to measure rows as they render */
+  rowHeight: PropTypes.number,
+  /** Height assumed for rows that have not been measured yet */
+  estimatedRowHeight: PropTypes.number,
+  /** Rows rendered above and below the viewport */
+  overscan: PropTypes.number,
+  /** Render a detail panel below an expanded row: (row) => node */
+  renderExpanded: PropTypes.func,
+  /** Tree mode - return a row's child rows: (row) => rows */
+  getChildren: PropTypes.func,
+  /** Expanded row keys (controlled) */
+  expandedKeys: PropTypes.array,
+  /** Initially expanded row keys (uncontrolled) */
+  defaultExpandedKeys: PropTypes.array,
+  /** Expansion change handler */
+  onExpandedChange: PropTypes.func,
+  /** Column layout (controlled) - { order: [key], hidden: [key], widths: { [key]: px } } */
+  columnState: PropTypes.shape({
+    order: PropTypes.arrayOf(PropTypes.string),
+    hidden: PropTypes.arrayOf(PropTypes.string),
+    widths: PropTypes.objectOf(PropTypes.number),
+  }),
+  /** Initial column layout (uncontrolled) */
+  defaultColumnState: PropTypes.object,
+  /** Column layout change handler - receives a serializable layout */
+  onColumnStateChange: PropTypes.func,
+  /** Show drag handles to resize columns */
+  resizableColumns: PropTypes.bool,
+  /** Allow reordering columns by dragging headers */
+  reorderableColumns: PropTypes.bool,
+  /** Show a column visibility menu above the table */
+  columnMenu: PropTypes.bool,
+  /** Save an edited cell: (rowKey, columnKey, value) => void | Promise (reject to show an error) */
+  onCellEdit: PropTypes.func,
+  /** Show an export menu above the table - true for all formats or a list of formats */
+  exportable: PropTypes.oneOfType([
+    PropTypes.bool,
+    PropTypes.arrayOf(PropTypes.oneOf(['csv', 'tsv', 'json'])),
+  ]),
+  /** Downloaded file name, without extension */
+  exportFileName: PropTypes.string,
+  /** Keyboard grid navigation - arrow keys between cells, Space selects rows */
+  interactive: PropTypes.bool,
+  /** Server-side mode - `data` is already sorted and filtered, sort/filter changes only call back */
+  manual: PropTypes.bool,
+  /** Show skeleton rows instead of data */
+  loading: PropTypes.bool,
+  /** Number of skeleton rows while loading */
+  loadingRows: PropTypes.number,
+  /** Group rows by a column key or (row) => value */
+  groupBy: PropTypes.oneOfType([PropTypes.string, PropTypes.func]),
+  /** Render a group header label: (value, rows) => node */
+  renderGroupLabel: PropTypes.func,
+  /** Collapsed group values (controlled) */
+  collapsedGroups: PropTypes.array,
+  /** Initially collapsed group values (uncontrolled) */
+  defaultCollapsedGroups: PropTypes.array,
+  /** Collapsed groups change handler */
+  onCollapsedGroupsChange: PropTypes.func,
+  /** Additional CSS classes */
+  className: PropTypes.string,
+};
+
+/**
+ * Remote Table
+ *
+ * Server-side sorting, filtering and pagination. Calls `fetchData` with the
+ * current page, page size, sort and filters (see useRemoteTable), renders
+ * skeleton rows while a request is in flight and an empty state or error
+ * alert with a retry button in place of the rows. Other props are passed
+ * to Table.Simple.
+ */
+Table.Remote = ({
+  columns,
+  fetchData,
+  defaultPageSize = 25,
+  pageSizeOptions,
+  defaultSort,
+  defaultFilters,
+  filterDebounce,
+  emptyState,
+  className = '',
+  ...props
+}) => {
+  const remote = useRemoteTable({
+    fetchData,
+    defaultPageSize,
+    defaultSort,
+    defaultFilters,
+    filterDebounce,
+  });
+
+  const hasActiveFilters = Object.keys(remote.filters).some((key) => !isEmptyFilter(remote.filters[key]));
+
+  const emptyContent = remote.error ? (
+    <Alert
+      severity="error"
+      title="Could not load data"
+      action={{ label: 'Retry', onClick: remote.reload }}
+    >
+      {remote.error.message || 'Something went wrong while loading this table.'}
+    </Alert>
+  ) : emptyState || (
+    <EmptyState
+      size="sm"
+      title={hasActiveFilters ? 'No matching results' : 'No data'}
+      description={hasActiveFilters ? 'Try adjusting or clearing your filters.' : undefined}
+    />
+  );
+
+  const { onItemsPerPageChange, ...paginationProps } = remote.paginationProps;
+
+  return (
+    <div className={['l100-table-remote', className].filter(Boolean).join(' ')}>
+      <Table.Simple
+        columns={columns}
+        {...remote.tableProps}
+        emptyText={emptyContent}
+        {...props}
+      />
+      {remote.totalItems > 0 && (
+        <Pagination
+          className="l100-table-remote__pagination"
+          {...paginationProps}
+          onItemsPerPageChange={pageSizeOptions ? onItemsPerPageChange : undefined}
+          itemsPerPageOptions={pageSizeOptions}
+        />
+      )}
+    </div>
+  );
+};
+
+Table.Remote.propTypes = {
+  /** Column definitions (as for Table.Simple) */
+  columns: PropTypes.array.isRequired,
+  /** Load a page: ({ page, pageSize, sort, filters, signal }) => Promise<{ data, totalItems }> */
+  fetchData: PropTypes.func.isRequired,
+  /** Initial page size */
+  defaultPageSize: PropTypes.number,
+  /** Page sizes to offer (shows the items per page selector) */
+  pageSizeOptions: PropTypes.arrayOf(PropTypes.number),
+  /** Initial sort state */
+  defaultSort: sortShape,
+  /** Initial filter values */
+  defaultFilters: PropTypes.object,
+  /** Delay in ms before filter changes are fetched */
+  filterDebounce: PropTypes.number,
+  /** Content shown when a request returns no rows */
+  emptyState: PropTypes.node,
   /** Additional CSS classes */
   className: PropTypes.string,
 };
@@ -0,0 +1,81 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createElement, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import Table from './Table.jsx';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const columns = [
+  { key: 'team', title: 'Team' },
+  { key: 'name', title: 'Name' },
+];
+
+const data = [
+  { id: 1, team: 'core', name: 'Ada' },
+  { id: 2, team: 'infra', name: 'Grace' },
+  { id: 3, team: 'core', name: 'Linus' },
+];
+
+// jsdom's Blob has no text()
+const readText = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+describe('Table.Simple export', () => {
+  let root;
+  let container;
+  let blobs;
+
+  beforeEach(() => {
+    blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:export';
+    });
+    URL.revokeObjectURL = vi.fn();
+    // jsdom can't navigate to the download link
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    container = document.body.appendChild(document.createElement('div'));
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  const exportCsv = async (props) => {
+    act(() => root.render(createElement(Table.Simple, {
+      columns,
+      data,
+      rowKey: 'id',
+      exportable: ['csv'],
+      ...props,
+    })));
+
+    const trigger = Array.from(container.querySelectorAll('.l100-menu__trigger'))
+      .find((node) => node.textContent === 'Export');
+    act(() => trigger.click());
+    const item = Array.from(document.querySelectorAll('.l100-menu__item'))
+      .find((node) => node.textContent === 'CSV');
+    act(() => item.click());
+
+    expect(blobs).toHaveLength(1);
+    return readText(blobs[0]);
+  };
+
+  it('includes the rows of collapsed groups', async () => {
+    const csv = await exportCsv({ groupBy: 'team', defaultCollapsedGroups: ['core'] });
+    expect(csv).toBe('Team,Name\r\ncore,Ada\r\ncore,Linus\r\ninfra,Grace');
+  });
+
+  it('includes the children of collapsed tree rows', async () => {
+    const tree = [{ id: 1, team: 'core', name: 'Ada', children: [{ id: 2, team: 'core', name: 'Linus' }] }];
+    const csv = await exportCsv({ data: tree, getChildren: (row) => row.children });
+    expect(csv).toBe('Team,Name\r\ncore,Ada\r\ncore,Linus');
+  });
+});
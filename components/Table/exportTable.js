@@ -0,0 +1,191 @@
+/**
+ * Table Export
+ *
+ * Serializes a `columns`/`data` table to CSV, TSV or JSON. Columns are
+ * exported in display order and hidden columns are skipped, so the file
+ * matches what the user sees. Use a column's `exportValue` when the
+ * rendered cell (badges, links, formatted numbers) differs from the value
+ * that belongs in the file, and `exportable: false` to leave a column out.
+ * Text that a spreadsheet app would run as a formula is prefixed with `'`
+ * unless `sanitizeFormulas: false` is passed.
+ *
+ * @example
+ * const csv = exportTable(columns, data, { format: 'csv', sort, filters, columnState });
+ *
+ * downloadTable(columns, data, { format: 'tsv', fileName: 'sessions' });
+ */
+import { filterRows, sortRows, resolveColumns } from './tableUtils.js';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' },
+};
+
+/**
+ * Columns that end up in an export, in order
+ * @param {Array} columns - Column definitions (already in display order)
+ * @returns {Array} Columns without `exportable: false`
+ */
+export function getExportColumns(columns) {
+  return columns.filter((col) => col.exportable !== false);
+}
+
+/**
+ * Resolve the raw value written for a cell
+ * @param {Object} column - Column definition
+ * @param {Object} row - Row data
+ * @returns {*} `exportValue(value, row)` when defined, otherwise the cell value
+ */
+export function getExportValue(column, row) {
+  const value = row[column.key];
+  return column.exportValue ? column.exportValue(value, row) : value;
+}
+
+/**
+ * Convert a cell value to text for delimited formats
+ */
+const toText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? '' : value.toISOString();
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Convert a cell value to text, guarding against CSV injection: text
+ * starting with =, +, -, @, a tab or a carriage return gets a leading `'`
+ * so it is shown as text. Numbers are never formulas and are left as-is,
+ * so negative values stay numeric.
+ */
+const toCellText = (value, sanitizeFormulas) => {
+  const text = toText(value);
+  return sanitizeFormulas && typeof value !== 'number' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote, line break or
+ * surrounding whitespace (RFC 4180). Embedded quotes are doubled.
+ * Formula-like text is prefixed with `'` unless `sanitizeFormulas` is false.
+ */
+export function escapeCsvField(value, delimiter = ',', sanitizeFormulas = true) {
+  const text = toCellText(value, sanitizeFormulas);
+  const needsQuotes = text.includes(delimiter) ||
+    /["\r\n]/.test(text) ||
+    text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * TSV has no quoting - tabs and line breaks inside values become spaces
+ */
+const escapeTsvField = (value, sanitizeFormulas = true) => toCellText(value, sanitizeFormulas)
+  .replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * Serialize rows exactly as given - no sorting, filtering or reordering
+ * @param {Array} columns - Columns to export, in order
+ * @param {Array} rows - Row data, in order
+ * @param {string} format - 'csv' | 'tsv' | 'json'
+ * @param {Object} options
+ * @param {boolean} options.includeHeader - Write a header line of column titles (CSV/TSV)
+ * @param {boolean} options.sanitizeFormulas - Prefix formula-like text with `'` (CSV/TSV, default: true)
+ * @returns {string} File contents
+ */
+export function serializeRows(columns, rows, format = 'csv', { includeHeader = true, sanitizeFormulas = true } = {}) {
+  const exportColumns = getExportColumns(columns);
+
+  if (format === 'json') {
+    const records = rows.map((row) => {
+      const record = {};
+      exportColumns.forEach((col) => {
+        const value = getExportValue(col, row);
+        record[col.key] = value === undefined ? null : value;
+      });
+      return record;
+    });
+    return JSON.stringify(records, null, 2);
+  }
+
+  if (format !== 'csv' && format !== 'tsv') {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+
+  const formatRow = format === 'csv'
+    ? (values) => values.map((value) => escapeCsvField(value, ',', sanitizeFormulas)).join(',')
+    : (values) => values.map((value) => escapeTsvField(value, sanitizeFormulas)).join('\t');
+
+  const lines = rows.map((row) => formatRow(exportColumns.map((col) => getExportValue(col, row))));
+  if (includeHeader) {
+    lines.unshift(formatRow(exportColumns.map((col) => col.title)));
+  }
+
+  // RFC 4180 line endings - also what spreadsheet apps expect
+  return lines.join('\r\n');
+}
+
+/**
+ * Serialize the sorted and filtered view of a table
+ * @param {Array} columns - Column definitions
+ * @param {Array} data - Source rows
+ * @param {Object} options
+ * @param {string} options.format - 'csv' | 'tsv' | 'json' (default: 'csv')
+ * @param {Array} options.sort - Sort state, as used by Table.Simple
+ * @param {Object} options.filters - Filter values by column key
+ * @param {Object} options.columnState - Column layout ({ order, hidden })
+ * @param {boolean} options.includeHeader - Write a header line (CSV/TSV)
+ * @param {boolean} options.sanitizeFormulas - Prefix formula-like text with `'` (CSV/TSV, default: true)
+ * @returns {string} File contents
+ */
+export function exportTable(columns, data, {
+  format = 'csv',
+  sort = [],
+  filters = {},
+  columnState = {},
+  includeHeader = true,
+  sanitizeFormulas = true,
+} = {}) {
+  const rows = sortRows(filterRows(data || [], filters, columns), sort, columns);
+  return serializeRows(resolveColumns(columns, columnState), rows, format, { includeHeader, sanitizeFormulas });
+}
+
+/**
+ * Offer a string as a file download in the browser
+ * @param {string} content - File contents
+ * @param {string} fileName - File name without extension
+ * @param {string} format - 'csv' | 'tsv' | 'json'
+ */
+export function downloadFile(content, fileName, format = 'csv') {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+  // A byte order mark lets spreadsheet apps detect UTF-8 in delimited files
+  const bom = format === 'json' ? '' : '\uFEFF';
+  const url = URL.createObjectURL(new Blob([bom, content], { type: mimeType }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${fileName}.${extension}`;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Revoke on the next tick so the download has started
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Serialize the current view of a table and download it
+ * @param {Array} columns - Column definitions
+ * @param {Array} data - Source rows
+ * @param {Object} options - exportTable options plus `fileName` (default: 'table')
+ */
+export function downloadTable(columns, data, { fileName = 'table', ...options } = {}) {
+  const format = options.format || 'csv';
+  downloadFile(exportTable(columns, data, { ...options, format }), fileName, format);
+}
+
+export default exportTable;
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  escapeCsvField,
+  getExportColumns,
+  serializeRows,
+  exportTable,
+} from './exportTable.js';
+
+const columns = [
+  { key: 'name', title: 'Name' },
+  { key: 'tokens', title: 'Tokens' },
+  { key: 'internal', title: 'Internal', exportable: false },
+];
+
+describe('escapeCsvField', () => {
+  it('quotes fields with delimiters, quotes, line breaks or outer whitespace', () => {
+    expect(escapeCsvField('plain')).toBe('plain');
+    expect(escapeCsvField('a,b')).toBe('"a,b"');
+    expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvField('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCsvField(' padded')).toBe('" padded"');
+    expect(escapeCsvField('a;b', ';')).toBe('"a;b"');
+  });
+
+  it('writes empty, date, array and object values as text', () => {
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+    expect(escapeCsvField(new Date(Date.UTC(2024, 0, 2)))).toBe('2024-01-02T00:00:00.000Z');
+    expect(escapeCsvField(['a', 'b'])).toBe('"a, b"');
+    expect(escapeCsvField({ id: 1 })).toBe('"{""id"":1}"');
+  });
+
+  it('prefixes formula-like text with a quote', () => {
+    expect(escapeCsvField('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvField('+1')).toBe("'+1");
+    expect(escapeCsvField('-2+3')).toBe("'-2+3");
+    expect(escapeCsvField('@cmd')).toBe("'@cmd");
+    expect(escapeCsvField('\t=1')).toBe("'\t=1");
+    expect(escapeCsvField('\r=1')).toBe('"\'\r=1"');
+  });
+
+  it('keeps numbers and can leave formulas alone', () => {
+    expect(escapeCsvField(-5)).toBe('-5');
+    expect(escapeCsvField('=1+1', ',', false)).toBe('=1+1');
+  });
+});
+
+describe('getExportColumns', () => {
+  it('leaves out columns with exportable: false', () => {
+    expect(getExportColumns(columns).map((col) => col.key)).toEqual(['name', 'tokens']);
+  });
+});
+
+describe('serializeRows', () => {
+  const rows = [
+    { name: 'Alpha, Inc', tokens: 10, internal: 'x' },
+    { name: '=HYPERLINK("x")', tokens: null },
+  ];
+
+  it('writes CSV with a header and CRLF line endings', () => {
+    expect(serializeRows(columns, rows, 'csv')).toBe(
+      'Name,Tokens\r\n"Alpha, Inc",10\r\n"\'=HYPERLINK(""x"")",'
+    );
+  });
+
+  it('writes TSV with tabs and line breaks flattened to spaces', () => {
+    const text = serializeRows(columns, [{ name: 'a\tb\nc', tokens: '-1' }], 'tsv', { includeHeader: false });
+    expect(text).toBe("a b c\t'-1");
+  });
+
+  it('writes JSON records with null for missing values', () => {
+    expect(JSON.parse(serializeRows(columns, rows, 'json'))).toEqual([
+      { name: 'Alpha, Inc', tokens: 10 },
+      { name: '=HYPERLINK("x")', tokens: null },
+    ]);
+  });
+
+  it('uses exportValue for the written value', () => {
+    const custom = [{ key: 'tokens', title: 'Tokens', exportValue: (value, row) => `${value} ${row.unit}` }];
+    expect(serializeRows(custom, [{ tokens: 3, unit: 'k' }], 'csv', { includeHeader: false })).toBe('3 k');
+  });
+
+  it('can write formula-like text unchanged', () => {
+    expect(serializeRows(columns, [rows[1]], 'tsv', { includeHeader: false, sanitizeFormulas: false }))
+      .toBe('=HYPERLINK("x")\t');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => serializeRows(columns, rows, 'xml')).toThrow('Unsupported export format "xml"');
+  });
+});
+
+describe('exportTable', () => {
+  const data = [
+    { name: 'beta', tokens: 2 },
+    { name: 'alpha', tokens: 1 },
+    { name: 'bravo', tokens: 3 },
+  ];
+
+  it('exports the sorted and filtered view in layout order', () => {
+    const csv = exportTable(columns, data, {
+      sort: [{ key: 'tokens', direction: 'desc' }],
+      filters: { name: 'b' },
+      columnState: { order: ['tokens', 'name', 'internal'] },
+    });
+    expect(csv).toBe('Tokens,Name\r\n3,bravo\r\n2,beta');
+  });
+
+  it('skips hidden columns', () => {
+    const csv = exportTable(columns, data, { columnState: { hidden: ['tokens'] }, includeHeader: false });
+    expect(csv).toBe('beta\r\nalpha\r\nbravo');
+  });
+});
@@ -0,0 +1,408 @@
+/**
+ * Table Utilities
+ *
+ * Pure helpers shared by the data-driven table:
+ * - row identity
+ * - sorting and filtering
+ * - grouping and aggregates
+ * - flattening rows (tree, detail and group items) for rendering
+ * - column layout (order, visibility, widths)
+ *
+ * Kept free of React so they can be reused outside of rendering.
+ */
+
+/**
+ * Resolve the stable key for a row
+ * @param {Object} row - Row data
+ * @param {number} index - Row index in the source data
+ * @param {string|function} rowKey - Property name or (row, index) => key
+ * @returns {string|number} Row key
+ */
+export function getRowKey(row, index, rowKey) {
+  if (typeof rowKey === 'function') return rowKey(row, index);
+  if (rowKey && row[rowKey] !== undefined) return row[rowKey];
+  return index;
+}
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Order of two values when at least one is empty (null/undefined/''):
+ * empty values come last
+ */
+const compareEmpty = (a, b) => {
+  const aEmpty = isEmptyValue(a);
+  const bEmpty = isEmptyValue(b);
+  if (aEmpty && bEmpty) return 0;
+  return aEmpty ? 1 : -1;
+};
+
+/**
+ * Default comparator - handles numbers, dates, booleans and strings.
+ * Empty values (null/undefined/'') sort after everything else.
+ */
+export function defaultCompare(a, b) {
+  if (isEmptyValue(a) || isEmptyValue(b)) return compareEmpty(a, b);
+
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return a === b ? 0 : a ? -1 : 1;
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Sort rows by one or more columns. Empty cells always sort last, in
+ * either direction, and never reach a column's custom `compare`.
+ * @param {Array} rows - Rows to sort (not mutated)
+ * @param {Array} sort - [{ key, direction: 'asc' | 'desc' }] in priority order
+ * @param {Array} columns - Column definitions (for custom `compare` functions)
+ * @param {function} getRow - Maps an entry to its row data when sorting wrapped rows
+ * @returns {Array} Sorted copy of rows
+ */
+export function sortRows(rows, sort, columns, getRow = (row) => row) {
+  if (!sort || sort.length === 0) return rows;
+
+  const comparators = sort
+    .map(({ key, direction }) => {
+      const column = columns.find((col) => col.key === key);
+      if (!column) return null;
+      const compare = column.compare || defaultCompare;
+      const modifier = direction === 'desc' ? -1 : 1;
+      return (rowA, rowB) => {
+        const a = rowA[key];
+        const b = rowB[key];
+        // Outside the direction modifier, so descending doesn't bring empties first
+        if (isEmptyValue(a) || isEmptyValue(b)) return compareEmpty(a, b);
+        return modifier * compare(a, b, rowA, rowB);
+      };
+    })
+    .filter(Boolean);
+
+  // Decorate with the original index so equal rows keep their order
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const comparator of comparators) {
+        const result = comparator(getRow(a.row), getRow(b.row));
+        if (result !== 0) return result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+}
+
+/**
+ * Default filter - case-insensitive "contains" match on the cell value
+ */
+export function defaultFilter(value, filterValue) {
+  if (value === null || value === undefined) return false;
+  return String(value).toLowerCase().includes(String(filterValue).toLowerCase());
+}
+
+/**
+ * Whether a filter value should be ignored (nothing entered yet)
+ */
+export function isEmptyFilter(filterValue) {
+  return (
+    filterValue === undefined ||
+    filterValue === null ||
+    filterValue === '' ||
+    (Array.isArray(filterValue) && filterValue.length === 0)
+  );
+}
+
+/**
+ * Whether a single row passes every active column filter
+ * @param {Object} row - Row data
+ * @param {Object} filters - { [columnKey]: filterValue }
+ * @param {Array} columns - Column definitions (for custom `filter` functions)
+ * @returns {boolean}
+ */
+export function matchesFilters(row, filters, columns) {
+  if (!filters) return true;
+
+  return Object.keys(filters).every((key) => {
+    const filterValue = filters[key];
+    if (isEmptyFilter(filterValue)) return true;
+
+    const column = columns.find((col) => col.key === key);
+    const filter = column?.filter || defaultFilter;
+    return filter(row[key], filterValue, row);
+  });
+}
+
+/**
+ * Filter rows by per-column filter values
+ */
+export function filterRows(rows, filters, columns) {
+  return rows.filter((row) => matchesFilters(row, filters, columns));
+}
+
+/**
+ * Compute the next sort state after a header is activated.
+ * Cycles asc -> desc -> unsorted. With `multi`, the column is added to
+ * (or updated within) the existing sort instead of replacing it.
+ * @param {Array} sort - Current sort state
+ * @param {string} key - Column key that was activated
+ * @param {boolean} multi - Whether to keep other sorted columns (Shift+click)
+ * @returns {Array} Next sort state
+ */
+export function getNextSort(sort, key, multi = false) {
+  const current = sort.find((entry) => entry.key === key);
+  const nextDirection = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+  if (!multi) {
+    return nextDirection ? [{ key, direction: nextDirection }] : [];
+  }
+
+  if (!current) {
+    return [...sort, { key, direction: nextDirection }];
+  }
+
+  return nextDirection
+    ? sort.map((entry) => (entry.key === key ? { key, direction: nextDirection } : entry))
+    : sort.filter((entry) => entry.key !== key);
+}
+
+const toNumbers = (values) => values
+  .filter((value) => !isEmptyValue(value))
+  .map(Number)
+  .filter((value) => !Number.isNaN(value));
+
+/**
+ * Built-in column aggregates - each receives the column's cell values.
+ * Empty cells are skipped; min/max use the default comparator so they
+ * also work for dates and strings.
+ */
+export const AGGREGATES = {
+  sum: (values) => toNumbers(values).reduce((total, value) => total + value, 0),
+  avg: (values) => {
+    const numbers = toNumbers(values);
+    return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+  },
+  count: (values) => values.filter((value) => !isEmptyValue(value)).length,
+  min: (values) => values.filter((value) => !isEmptyValue(value))
+    .reduce((min, value) => (min === null || defaultCompare(value, min) < 0 ? value : min), null),
+  max: (values) => values.filter((value) => !isEmptyValue(value))
+    .reduce((max, value) => (max === null || defaultCompare(value, max) > 0 ? value : max), null),
+};
+
+/**
+ * Compute a column's aggregate over a set of rows
+ * @param {Object} column - Column with `aggregate`: 'sum' | 'avg' | 'count' | 'min' | 'max' | (values, rows) => any
+ * @param {Array} rows - Rows to aggregate
+ * @returns {*} Aggregate value, or undefined when the column has none
+ */
+export function aggregateColumn(column, rows) {
+  const { aggregate } = column;
+  if (!aggregate) return undefined;
+
+  const values = rows.map((row) => row[column.key]);
+  if (typeof aggregate === 'function') return aggregate(values, rows);
+  return AGGREGATES[aggregate] ? AGGREGATES[aggregate](values) : undefined;
+}
+
+/**
+ * Group value of a row
+ * @param {Object} row - Row data
+ * @param {string|function} groupBy - Column key or (row) => value
+ */
+export function getGroupValue(row, groupBy) {
+  return typeof groupBy === 'function' ? groupBy(row) : row[groupBy];
+}
+
+/**
+ * Key of a group item - group values are compared as strings
+ */
+export const getGroupKey = (value) => `__group:${value === null || value === undefined ? '' : String(value)}`;
+
+/**
+ * Build the flat list of items the table body renders.
+ *
+ * Rows are filtered and sorted level by level. In tree mode (`getChildren`)
+ * a parent is kept when any descendant matches the filters, and children of
+ * expanded rows follow their parent. Expanded rows with `renderExpanded`
+ * get a `detail` item directly after them.
+ *
+ * With `groupBy`, top-level rows are split into groups (in order of first
+ * appearance after sorting). Each group starts with a `group` item and, when
+ * `groupFooters` is set, ends with a `groupFooter` item. Rows of collapsed
+ * groups are left out. `expandAll` lists every group and tree row as
+ * expanded, e.g. to export the full sorted and filtered data.
+ *
+ * @param {Array} data - Source rows
+ * @param {Object} options
+ * @param {Array} options.columns - Column definitions
+ * @param {string|function} options.rowKey - Row identity
+ * @param {Array} options.sort - Sort state
+ * @param {Object} options.filters - Filter values by column key
+ * @param {function} options.getChildren - (row) => child rows (tree mode)
+ * @param {boolean} options.expandable - Whether rows have a detail panel
+ * @param {Array} options.expandedKeys - Keys of expanded rows
+ * @param {string|function} options.groupBy - Column key or (row) => group value
+ * @param {Array} options.collapsedGroups - Group values whose rows are hidden
+ * @param {boolean} options.groupFooters - Add a footer item after each expanded group
+ * @param {boolean} options.expandAll - Ignore `expandedKeys` and `collapsedGroups`, expanding everything
+ * @returns {Array} Items: { type: 'row' | 'detail' | 'group' | 'groupFooter', key, ... }
+ */
+export function buildRowItems(data, {
+  columns,
+  rowKey,
+  sort = [],
+  filters = {},
+  getChildren,
+  expandable = false,
+  expandedKeys = [],
+  groupBy,
+  collapsedGroups = [],
+  groupFooters = false,
+  expandAll = false,
+}) {
+  const items = [];
+  const hasActiveFilters = Object.keys(filters).some((key) => !isEmptyFilter(filters[key]));
+
+  const matchesTree = (row) => (
+    matchesFilters(row, filters, columns) ||
+    Boolean(getChildren && (getChildren(row) || []).some(matchesTree))
+  );
+
+  const visit = (levelRows, depth, parentKey) => {
+    const keyed = levelRows.map((row, index) => {
+      const ownKey = getRowKey(row, index, rowKey);
+      // Without a rowKey, child indexes are only unique within their parent
+      const key = depth > 0 && !rowKey ? `${parentKey}.${ownKey}` : ownKey;
+      return { row, key };
+    });
+
+    const filtered = hasActiveFilters ? keyed.filter(({ row }) => matchesTree(row)) : keyed;
+    const sorted = sortRows(filtered, sort, columns, (entry) => entry.row);
+
+    if (groupBy && depth === 0) {
+      visitGroups(sorted);
+    } else {
+      sorted.forEach((entry) => visitRow(entry, depth, parentKey));
+    }
+  };
+
+  const visitGroups = (entries) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const value = getGroupValue(entry.row, groupBy);
+      const key = getGroupKey(value);
+      if (!groups.has(key)) groups.set(key, { value, entries: [] });
+      groups.get(key).entries.push(entry);
+    });
+
+    const collapsedKeys = collapsedGroups.map(getGroupKey);
+    groups.forEach(({ value, entries: groupEntries }, key) => {
+      const rows = groupEntries.map((entry) => entry.row);
+      const isExpanded = expandAll || !collapsedKeys.includes(key);
+
+      items.push({ type: 'group', key, value, rows, isExpanded });
+      if (!isExpanded) return;
+
+      groupEntries.forEach((entry) => visitRow(entry, 0, undefined));
+      if (groupFooters) {
+        items.push({ type: 'groupFooter', key: `${key}__footer`, value, rows });
+      }
+    });
+  };
+
+  const visitRow = ({ row, key }, depth, parentKey) => {
+    const children = getChildren ? getChildren(row) || [] : [];
+    const hasChildren = children.length > 0;
+    const isExpanded = (hasChildren || expandable) && (expandAll || expandedKeys.includes(key));
+
+    items.push({
+      type: 'row',
+      row,
+      key,
+      depth,
+      parentKey,
+      hasChildren,
+      expandable: hasChildren || expandable,
+      isExpanded,
+    });
+
+    if (isExpanded && expandable) {
+      items.push({ type: 'detail', row, key: `${key}__detail`, parentKey: key, depth });
+    }
+
+    if (isExpanded && hasChildren) {
+      visit(children, depth + 1, key);
+    }
+  };
+
+  visit(data || [], 0, undefined);
+  return items;
+}
+
+/**
+ * Normalize a persisted column layout against the current column definitions.
+ * Unknown keys are dropped and new columns are appended in definition order,
+ * so layouts saved by an older version of a screen keep working.
+ * @param {Array} columns - Column definitions
+ * @param {Object} columnState - { order: [key], hidden: [key], widths: { [key]: px } }
+ * @returns {Object} Complete column state
+ */
+export function normalizeColumnState(columns, columnState = {}) {
+  const keys = columns.map((col) => col.key);
+  const order = (columnState.order || []).filter((key) => keys.includes(key));
+
+  keys.forEach((key) => {
+    if (!order.includes(key)) order.push(key);
+  });
+
+  const hidden = (columnState.hidden || []).filter((key) => keys.includes(key));
+  const widths = {};
+  Object.keys(columnState.widths || {}).forEach((key) => {
+    if (keys.includes(key)) widths[key] = columnState.widths[key];
+  });
+
+  return { order, hidden, widths };
+}
+
+/**
+ * Apply a column layout: returns visible columns in display order,
+ * each with its resolved `width`. Columns pinned left come first and
+ * columns pinned right come last, otherwise the layout order is kept.
+ * @param {Array} columns - Column definitions
+ * @param {Object} columnState - Column state (see normalizeColumnState)
+ * @returns {Array} Visible column definitions
+ */
+export function resolveColumns(columns, columnState) {
+  const { order, hidden, widths } = normalizeColumnState(columns, columnState);
+
+  const visible = order
+    .filter((key) => !hidden.includes(key))
+    .map((key) => {
+      const column = columns.find((col) => col.key === key);
+      return widths[key] !== undefined ? { ...column, width: widths[key] } : column;
+    });
+
+  return [
+    ...visible.filter((col) => col.pin === 'left'),
+    ...visible.filter((col) => col.pin !== 'left' && col.pin !== 'right'),
+    ...visible.filter((col) => col.pin === 'right'),
+  ];
+}
+
+/**
+ * Move a column before or after another one
+ * @param {Array} order - Column keys in display order
+ * @param {string} fromKey - Column being moved
+ * @param {string} toKey - Column it was dropped on
+ * @param {string} side - 'before' | 'after'
+ * @returns {Array} New order
+ */
+export function moveColumn(order, fromKey, toKey, side = 'before') {
+  if (fromKey === toKey) return order;
+
+  const next = order.filter((key) => key !== fromKey);
+  const targetIndex = next.indexOf(toKey);
+  if (targetIndex === -1) return order;
+
+  next.splice(side === 'after' ? targetIndex + 1 : targetIndex, 0, fromKey);
+  return next;
+}
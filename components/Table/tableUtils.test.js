@@ -0,0 +1,261 @@
+import { describe, it, expect } from 'vitest';
+import {
+  defaultCompare,
+  sortRows,
+  filterRows,
+  getNextSort,
+  buildRowItems,
+  AGGREGATES,
+  aggregateColumn,
+  normalizeColumnState,
+  resolveColumns,
+  moveColumn,
+} from './tableUtils.js';
+
+const columns = [
+  { key: 'name', title: 'Name' },
+  { key: 'tokens', title: 'Tokens' },
+];
+
+describe('defaultCompare', () => {
+  it('compares numbers, dates, booleans and strings', () => {
+    expect(defaultCompare(2, 10)).toBeLessThan(0);
+    expect(defaultCompare(new Date(2024, 0, 2), new Date(2024, 0, 1))).toBeGreaterThan(0);
+    expect(defaultCompare(true, false)).toBeLessThan(0);
+    expect(defaultCompare('item 2', 'item 10')).toBeLessThan(0);
+    expect(defaultCompare('abc', 'ABC')).toBe(0);
+  });
+
+  it('puts empty values after everything else', () => {
+    expect(defaultCompare(null, 1)).toBeGreaterThan(0);
+    expect(defaultCompare('', 'a')).toBeGreaterThan(0);
+    expect(defaultCompare('a', undefined)).toBeLessThan(0);
+    expect(defaultCompare(null, '')).toBe(0);
+  });
+});
+
+describe('sortRows', () => {
+  const rows = [
+    { name: 'b', tokens: 20 },
+    { name: 'a', tokens: null },
+    { name: 'c', tokens: 5 },
+    { name: 'd', tokens: 20 },
+  ];
+  const names = (result) => result.map((row) => row.name);
+
+  it('returns the rows unchanged without a sort', () => {
+    expect(sortRows(rows, [], columns)).toBe(rows);
+  });
+
+  it('sorts ascending and descending without mutating the input', () => {
+    expect(names(sortRows(rows, [{ key: 'tokens', direction: 'asc' }], columns))).toEqual(['c', 'b', 'd', 'a']);
+    expect(names(rows)).toEqual(['b', 'a', 'c', 'd']);
+  });
+
+  it('keeps empty values last when sorting descending', () => {
+    expect(names(sortRows(rows, [{ key: 'tokens', direction: 'desc' }], columns))).toEqual(['b', 'd', 'c', 'a']);
+  });
+
+  it('breaks ties with the next sort key, then the original order', () => {
+    const sort = [{ key: 'tokens', direction: 'desc' }, { key: 'name', direction: 'desc' }];
+    expect(names(sortRows(rows, sort, columns))).toEqual(['d', 'b', 'c', 'a']);
+    expect(names(sortRows(rows, [{ key: 'tokens', direction: 'desc' }], columns))).toEqual(['b', 'd', 'c', 'a']);
+  });
+
+  it('uses a column comparator with the rows', () => {
+    const byTokens = [{ key: 'name', title: 'Name', compare: (a, b, rowA, rowB) => rowA.tokens - rowB.tokens }];
+    const result = sortRows([{ name: 'x', tokens: 3 }, { name: 'y', tokens: 1 }], [{ key: 'name', direction: 'asc' }], byTokens);
+    expect(names(result)).toEqual(['y', 'x']);
+  });
+
+  it('ignores sort keys without a column', () => {
+    expect(names(sortRows(rows, [{ key: 'missing', direction: 'asc' }], columns))).toEqual(['b', 'a', 'c', 'd']);
+  });
+});
+
+describe('filterRows', () => {
+  const rows = [
+    { name: 'Alpha', tokens: 10 },
+    { name: 'beta', tokens: 200 },
+    { name: null, tokens: 30 },
+  ];
+
+  it('matches case-insensitively on cell text', () => {
+    expect(filterRows(rows, { name: 'ALP' }, columns)).toEqual([rows[0]]);
+    expect(filterRows(rows, { tokens: '0' }, columns)).toHaveLength(3);
+  });
+
+  it('ignores empty filter values and never matches empty cells', () => {
+    expect(filterRows(rows, { name: '', tokens: [] }, columns)).toEqual(rows);
+    expect(filterRows(rows, { name: 'a' }, columns)).toEqual([rows[0], rows[1]]);
+  });
+
+  it('uses a column filter with the row', () => {
+    const custom = [{ key: 'tokens', title: 'Tokens', filter: (value, min) => value >= min }];
+    expect(filterRows(rows, { tokens: 30 }, custom)).toEqual([rows[1], rows[2]]);
+  });
+});
+
+describe('getNextSort', () => {
+  it('cycles a column through asc, desc and unsorted', () => {
+    expect(getNextSort([], 'name')).toEqual([{ key: 'name', direction: 'asc' }]);
+    expect(getNextSort([{ key: 'name', direction: 'asc' }], 'name')).toEqual([{ key: 'name', direction: 'desc' }]);
+    expect(getNextSort([{ key: 'name', direction: 'desc' }], 'name')).toEqual([]);
+  });
+
+  it('replaces the sort, or adds to it with multi', () => {
+    const sort = [{ key: 'name', direction: 'asc' }];
+    expect(getNextSort(sort, 'tokens')).toEqual([{ key: 'tokens', direction: 'asc' }]);
+    expect(getNextSort(sort, 'tokens', true)).toEqual([...sort, { key: 'tokens', direction: 'asc' }]);
+  });
+});
+
+describe('buildRowItems', () => {
+  const tree = [
+    { id: 'a', name: 'Alpha', children: [{ id: 'a1', name: 'Zeta' }, { id: 'a2', name: 'Beta' }] },
+    { id: 'b', name: 'Gamma', children: [] },
+  ];
+  const getChildren = (row) => row.children;
+  const summary = (items) => items.map((item) => `${item.type}:${item.key}`);
+
+  it('lists top-level rows with their keys', () => {
+    const items = buildRowItems(tree, { columns, rowKey: 'id', getChildren });
+    expect(summary(items)).toEqual(['row:a', 'row:b']);
+    expect(items[0]).toMatchObject({ depth: 0, hasChildren: true, expandable: true, isExpanded: false });
+    expect(items[1]).toMatchObject({ hasChildren: false, expandable: false });
+  });
+
+  it('shows sorted children after an expanded parent', () => {
+    const items = buildRowItems(tree, {
+      columns,
+      rowKey: 'id',
+      getChildren,
+      expandedKeys: ['a'],
+      sort: [{ key: 'name', direction: 'asc' }],
+    });
+    expect(summary(items)).toEqual(['row:a', 'row:a2', 'row:a1', 'row:b']);
+    expect(items[1]).toMatchObject({ depth: 1, parentKey: 'a' });
+  });
+
+  it('keeps parents whose descendants match the filters', () => {
+    const items = buildRowItems(tree, {
+      columns,
+      rowKey: 'id',
+      getChildren,
+      expandedKeys: ['a'],
+      filters: { name: 'zeta' },
+    });
+    expect(summary(items)).toEqual(['row:a', 'row:a1']);
+  });
+
+  it('prefixes child keys with the parent key without a rowKey', () => {
+    const items = buildRowItems(tree, { columns, getChildren, expandedKeys: [0] });
+    expect(summary(items)).toEqual(['row:0', 'row:0.0', 'row:0.1', 'row:1']);
+  });
+
+  it('expands every group and tree row with expandAll', () => {
+    const grouped = [{ id: 'x', team: 'a' }, { id: 'y', team: 'b' }];
+    const items = buildRowItems(grouped, { columns, rowKey: 'id', groupBy: 'team', collapsedGroups: ['a'], expandAll: true });
+    expect(summary(items)).toEqual(['group:__group:a', 'row:x', 'group:__group:b', 'row:y']);
+    expect(summary(buildRowItems(tree, { columns, rowKey: 'id', getChildren, expandAll: true })))
+      .toEqual(['row:a', 'row:a1', 'row:a2', 'row:b']);
+  });
+
+  it('adds a detail item after expanded rows in expandable mode', () => {
+    const items = buildRowItems([{ id: 'x' }, { id: 'y' }], { columns, rowKey: 'id', expandable: true, expandedKeys: ['y'] });
+    expect(summary(items)).toEqual(['row:x', 'row:y', 'detail:y__detail']);
+  });
+});
+
+describe('normalizeColumnState', () => {
+  it('drops unknown keys and appends new columns in definition order', () => {
+    const state = { order: ['tokens', 'gone'], hidden: ['gone', 'name'], widths: { gone: 10, tokens: 80 } };
+    expect(normalizeColumnState(columns, state)).toEqual({
+      order: ['tokens', 'name'],
+      hidden: ['name'],
+      widths: { tokens: 80 },
+    });
+  });
+
+  it('fills in a missing layout', () => {
+    expect(normalizeColumnState(columns)).toEqual({ order: ['name', 'tokens'], hidden: [], widths: {} });
+  });
+});
+
+describe('resolveColumns', () => {
+  const keys = (result) => result.map((col) => col.key);
+
+  it('returns visible columns in layout order with their widths', () => {
+    const result = resolveColumns(columns, { order: ['tokens', 'name'], widths: { tokens: 120 } });
+    expect(keys(result)).toEqual(['tokens', 'name']);
+    expect(result[0].width).toBe(120);
+    expect(result[1]).toBe(columns[0]);
+  });
+
+  it('leaves out hidden columns', () => {
+    expect(keys(resolveColumns(columns, { hidden: ['name'] }))).toEqual(['tokens']);
+  });
+
+  it('keeps pinned columns at the edges', () => {
+    const pinned = [
+      { key: 'a', pin: 'right' },
+      { key: 'b' },
+      { key: 'c', pin: 'left' },
+      { key: 'd' },
+    ];
+    expect(keys(resolveColumns(pinned, { order: ['d', 'a', 'b', 'c'] }))).toEqual(['c', 'd', 'b', 'a']);
+  });
+});
+
+describe('moveColumn', () => {
+  it('moves a column before or after another one', () => {
+    expect(moveColumn(['a', 'b', 'c'], 'c', 'a')).toEqual(['c', 'a', 'b']);
+    expect(moveColumn(['a', 'b', 'c'], 'a', 'b', 'after')).toEqual(['b', 'a', 'c']);
+  });
+
+  it('keeps the order for a drop on itself or an unknown column', () => {
+    const order = ['a', 'b'];
+    expect(moveColumn(order, 'a', 'a')).toBe(order);
+    expect(moveColumn(order, 'a', 'x')).toBe(order);
+  });
+});
+
+describe('AGGREGATES', () => {
+  const values = [3, '4', null, '', 'n/a', 1];
+
+  it('sums and averages numeric values, skipping empty and non-numeric ones', () => {
+    expect(AGGREGATES.sum(values)).toBe(8);
+    expect(AGGREGATES.avg(values)).toBe(8 / 3);
+    expect(AGGREGATES.avg([null])).toBeNull();
+  });
+
+  it('counts non-empty values', () => {
+    expect(AGGREGATES.count(values)).toBe(4);
+  });
+
+  it('finds min and max with the default comparator', () => {
+    expect(AGGREGATES.min([5, null, 2, 9])).toBe(2);
+    expect(AGGREGATES.max(['b', 'a', 'c'])).toBe('c');
+    const dates = [new Date(2024, 5, 1), new Date(2023, 0, 1)];
+    expect(AGGREGATES.min(dates)).toBe(dates[1]);
+    expect(AGGREGATES.max([])).toBeNull();
+  });
+});
+
+describe('aggregateColumn', () => {
+  const rows = [{ tokens: 2 }, { tokens: 5 }];
+
+  it('applies a built-in aggregate by name', () => {
+    expect(aggregateColumn({ key: 'tokens', aggregate: 'sum' }, rows)).toBe(7);
+  });
+
+  it('calls a custom aggregate with the values and rows', () => {
+    const aggregate = (values, source) => `${values.join('+')} of ${source.length}`;
+    expect(aggregateColumn({ key: 'tokens', aggregate }, rows)).toBe('2+5 of 2');
+  });
+
+  it('returns undefined without a known aggregate', () => {
+    expect(aggregateColumn({ key: 'tokens' }, rows)).toBeUndefined();
+    expect(aggregateColumn({ key: 'tokens', aggregate: 'median' }, rows)).toBeUndefined();
+  });
+});
@@ -0,0 +1,343 @@
+/**
+ * useGridNavigation Hook
+ *
+ * Keyboard model for `<Table interactive>`, following the WAI-ARIA grid
+ * pattern. The table is a single tab stop: exactly one cell has
+ * `tabindex="0"` (roving tabindex) and controls inside cells are taken out
+ * of the tab order. Works from the rendered DOM, so it supports the
+ * compound API as well as Table.Simple, including virtualized bodies that
+ * report their position with `aria-rowindex` (pass `scrollToRow` so rows
+ * outside the rendered window can be reached).
+ *
+ * Keys (when a cell has focus):
+ * - Arrow keys move between cells, Home/End to the first/last cell of the row
+ * - Ctrl+Home/Ctrl+End move to the first/last row
+ * - PageUp/PageDown move by a screenful of rows
+ * - Space toggles the row's selection checkbox
+ * - Enter activates the cell's primary control (clicks buttons and
+ *   checkboxes, focuses inputs), F2 moves focus into the cell
+ * - Escape inside a control returns focus to its cell
+ *
+ * @example
+ * const tableRef = useRef(null);
+ * const { onKeyDown, onFocus } = useGridNavigation({ tableRef, enabled: interactive });
+ * // Virtualized body
+ * useGridNavigation({ tableRef, scrollToRow: (rowNumber) => scrollToIndex(rowNumber - 2) });
+ * <table ref={tableRef} onKeyDown={onKeyDown} onFocus={onFocus}>...</table>
+ */
+import { useRef, useCallback } from 'react';
+import { useIsomorphicLayoutEffect } from '../hooks/useIsomorphicLayoutEffect.js';
+
+const CELL_SELECTOR = 'td, th';
+const CONTROL_SELECTOR = 'a[href], button, input, select, textarea, [contenteditable="true"], [tabindex]';
+const TEXT_INPUT_SELECTOR = 'input:not([type="checkbox"]):not([type="radio"]), select, textarea, [role="combobox"], [contenteditable="true"]';
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Rendered rows that can hold focus (skips virtualization spacers)
+ */
+const getRows = (table) => Array.from(table.rows).filter((row) => (
+  row.getAttribute('aria-hidden') !== 'true'
+));
+
+/**
+ * 1-based position of a row in the whole grid
+ */
+const getRowNumber = (row, rows) => Number(row.getAttribute('aria-rowindex')) || rows.indexOf(row) + 1;
+
+/**
+ * Logical column of a cell, counting colspans
+ */
+const getColumnIndex = (cell) => {
+  let index = 0;
+  for (let i = 0; i < cell.cellIndex; i++) {
+    index += cell.parentElement.cells[i].colSpan || 1;
+  }
+  return index;
+};
+
+/**
+ * Cell covering a logical column (clamped to the last cell)
+ */
+const getCellAt = (row, columnIndex) => {
+  let index = 0;
+  for (const cell of row.cells) {
+    index += cell.colSpan || 1;
+    if (columnIndex < index) return cell;
+  }
+  return row.cells[row.cells.length - 1] || null;
+};
+
+const getColumnCount = (row) => Array.from(row.cells).reduce((sum, cell) => sum + (cell.colSpan || 1), 0);
+
+const isDisabled = (node) => node.disabled || node.getAttribute('aria-disabled') === 'true';
+
+/**
+ * Controls inside a cell that belong to this grid (not to a nested table)
+ */
+const getCellControls = (cell, table) => Array.from(cell.querySelectorAll(CONTROL_SELECTOR))
+  .filter((node) => node.closest('table') === table && !isDisabled(node));
+
+/**
+ * `node` and its descendants that match `selector`
+ */
+const findAll = (node, selector) => [
+  ...(node.matches(selector) ? [node] : []),
+  ...node.querySelectorAll(selector),
+];
+
+/**
+ * @param {Object} options
+ * @param {Object} options.tableRef - Ref to the <table> element
+ * @param {boolean} options.enabled - Turn the keyboard model on/off
+ * @param {function} options.scrollToRow - (rowNumber) => void, renders a row that is
+ *   outside a virtualized window, by its 1-based `aria-rowindex`
+ * @returns {Object} { onKeyDown, onFocus } handlers for the table element
+ */
+export function useGridNavigation({ tableRef, enabled = true, scrollToRow }) {
+  // Last focused cell, plus its position for when the element is unmounted
+  const activeRef = useRef({ cell: null, rowNumber: 1, columnIndex: 0 });
+  // Cell that holds tabindex="0"
+  const tabStopRef = useRef(null);
+  // Row to focus once a virtualized body has rendered it
+  const pendingRowRef = useRef(null);
+
+  const getCell = useCallback((node) => {
+    const table = tableRef.current;
+    const cell = node?.closest?.('td, th');
+    return cell && cell.closest('table') === table ? cell : null;
+  }, [tableRef]);
+
+  // Resolve the cell that should own the tab stop
+  const getActiveCell = useCallback(() => {
+    const table = tableRef.current;
+    const { cell, rowNumber, columnIndex } = activeRef.current;
+    if (cell && table.contains(cell)) return cell;
+
+    const rows = getRows(table);
+    if (rows.length === 0) return null;
+    const row = rows.find((r) => getRowNumber(r, rows) >= rowNumber) || rows[rows.length - 1];
+    return getCellAt(row, columnIndex);
+  }, [tableRef]);
+
+  // Move the tab stop - only the previous and the next cell change
+  const setTabStop = useCallback((cell) => {
+    const previous = tabStopRef.current;
+    if (previous && previous !== cell) previous.setAttribute('tabindex', '-1');
+    if (cell) cell.setAttribute('tabindex', '0');
+    tabStopRef.current = cell;
+  }, []);
+
+  // Cells are focusable but not tabbable (except the tab stop), controls inside them are neither
+  const prepareElement = useCallback((node) => {
+    if (node.closest('table') !== tableRef.current) return;
+
+    let tabIndex;
+    if (node.matches(CELL_SELECTOR)) {
+      tabIndex = node === tabStopRef.current ? '0' : '-1';
+    } else if (node.closest(CELL_SELECTOR)) {
+      tabIndex = '-1';
+    }
+    if (tabIndex && node.getAttribute('tabindex') !== tabIndex) {
+      node.setAttribute('tabindex', tabIndex);
+    }
+  }, [tableRef]);
+
+  const prepareTree = useCallback((node) => {
+    findAll(node, `${CELL_SELECTOR}, ${CONTROL_SELECTOR}`).forEach(prepareElement);
+  }, [prepareElement]);
+
+  const setActiveCell = useCallback((cell) => {
+    const rows = getRows(tableRef.current);
+    activeRef.current = {
+      cell,
+      rowNumber: getRowNumber(cell.parentElement, rows),
+      columnIndex: getColumnIndex(cell),
+    };
+  }, [tableRef]);
+
+  const focusCell = useCallback((cell) => {
+    setActiveCell(cell);
+    setTabStop(cell);
+    cell.focus();
+  }, [setActiveCell, setTabStop]);
+
+  const findRow = useCallback((rowNumber) => {
+    const rows = getRows(tableRef.current);
+    return rows.find((row) => getRowNumber(row, rows) === rowNumber);
+  }, [tableRef]);
+
+  // Finish a move into a row that was outside the virtualized window
+  const focusPendingRow = useCallback(() => {
+    const pending = pendingRowRef.current;
+    if (!pending) return;
+    // Focus drops to the body when the previous cell scrolls out of the window
+    const active = document.activeElement;
+    if (active && active !== document.body && !tableRef.current.contains(active)) {
+      pendingRowRef.current = null;
+      return;
+    }
+
+    const row = findRow(pending.rowNumber);
+    if (row) {
+      pendingRowRef.current = null;
+      focusCell(getCellAt(row, pending.columnIndex));
+    }
+  }, [tableRef, findRow, focusCell]);
+
+  // Prepare the table once, then only the cells and controls React adds or
+  // changes. The tab stop moves on when its cell is unmounted.
+  useIsomorphicLayoutEffect(() => {
+    const table = tableRef.current;
+    if (!enabled || !table) return undefined;
+
+    setTabStop(getActiveCell());
+    prepareTree(table);
+
+    const observer = new MutationObserver((records) => {
+      records.forEach((record) => {
+        if (record.type === 'attributes') {
+          prepareElement(record.target);
+        } else {
+          record.addedNodes.forEach((node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) prepareTree(node);
+          });
+        }
+      });
+      focusPendingRow();
+      if (!table.contains(tabStopRef.current)) setTabStop(getActiveCell());
+    });
+    observer.observe(table, { childList: true, subtree: true, attributes: true, attributeFilter: ['tabindex'] });
+
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  /**
+   * Move to a row by its 1-based grid position. Virtualized rows that are
+   * not rendered yet are scrolled into range first and focused once they
+   * are in the DOM.
+   */
+  const moveToRow = (rowNumber, columnIndex) => {
+    const table = tableRef.current;
+    const rowCount = Number(table.getAttribute('aria-rowcount')) || getRows(table).length;
+    const target = Math.max(1, Math.min(rowCount, rowNumber));
+
+    pendingRowRef.current = null;
+    const row = findRow(target);
+    if (row) {
+      focusCell(getCellAt(row, columnIndex));
+    } else if (scrollToRow) {
+      pendingRowRef.current = { rowNumber: target, columnIndex };
+      scrollToRow(target);
+    }
+  };
+
+  const getPageSize = (row) => {
+    const scroller = tableRef.current.parentElement;
+    const rowHeight = row.getBoundingClientRect().height;
+    if (!rowHeight || scroller.scrollHeight <= scroller.clientHeight) return DEFAULT_PAGE_SIZE;
+    return Math.max(1, Math.floor(scroller.clientHeight / rowHeight) - 1);
+  };
+
+  const activateControl = (cell, { focusOnly = false } = {}) => {
+    const [control] = getCellControls(cell, tableRef.current);
+    if (!control) return false;
+
+    if (focusOnly || control.matches(TEXT_INPUT_SELECTOR)) {
+      control.focus();
+    } else {
+      control.click();
+    }
+    return true;
+  };
+
+  const toggleRowSelection = (row) => {
+    const checkbox = row.querySelector('.l100-table__cell--select input[type="checkbox"]') ||
+      row.querySelector('input[type="checkbox"]');
+    if (!checkbox || checkbox.disabled || checkbox.closest('table') !== tableRef.current) return false;
+    checkbox.click();
+    return true;
+  };
+
+  const onKeyDown = (e) => {
+    if (!enabled || e.defaultPrevented) return;
+
+    const cell = getCell(e.target);
+    if (!cell) return;
+
+    // Focus is inside a control - only Escape is ours
+    if (e.target !== cell) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        focusCell(cell);
+      }
+      return;
+    }
+
+    const table = tableRef.current;
+    const row = cell.parentElement;
+    const rows = getRows(table);
+    const rowNumber = getRowNumber(row, rows);
+    const columnIndex = getColumnIndex(cell);
+    const lastColumn = getColumnCount(row) - 1;
+    const rowCount = Number(table.getAttribute('aria-rowcount')) || rows.length;
+    const ctrl = e.ctrlKey || e.metaKey;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        focusCell(getCellAt(row, Math.min(lastColumn, columnIndex + (cell.colSpan || 1))));
+        break;
+      case 'ArrowLeft':
+        focusCell(getCellAt(row, Math.max(0, columnIndex - 1)));
+        break;
+      case 'ArrowDown':
+        moveToRow(rowNumber + 1, columnIndex);
+        break;
+      case 'ArrowUp':
+        moveToRow(rowNumber - 1, columnIndex);
+        break;
+      case 'Home':
+        if (ctrl) moveToRow(1, 0);
+        else focusCell(getCellAt(row, 0));
+        break;
+      case 'End':
+        if (ctrl) moveToRow(rowCount, Number.MAX_SAFE_INTEGER);
+        else focusCell(getCellAt(row, lastColumn));
+        break;
+      case 'PageDown':
+        moveToRow(rowNumber + getPageSize(row), columnIndex);
+        break;
+      case 'PageUp':
+        moveToRow(rowNumber - getPageSize(row), columnIndex);
+        break;
+      case ' ':
+        if (!toggleRowSelection(row)) return;
+        break;
+      case 'Enter':
+        if (!activateControl(cell)) return;
+        break;
+      case 'F2':
+        if (!activateControl(cell, { focusOnly: true })) return;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+  };
+
+  // Clicking or tabbing into any cell (or a control inside it) moves the tab stop there
+  const onFocus = (e) => {
+    if (!enabled) return;
+    const cell = getCell(e.target);
+    if (cell && cell !== activeRef.current.cell) {
+      pendingRowRef.current = null;
+      setActiveCell(cell);
+      setTabStop(cell);
+    }
+  };
+
+  return { onKeyDown, onFocus };
+}
+
+export default useGridNavigation;
@@ -0,0 +1,169 @@
+/**
+ * useRemoteTable Hook
+ *
+ * State and data loading for server-side tables. Tracks page, page size,
+ * sort and filters, calls `fetchData` whenever they change and cancels the
+ * previous request (via AbortSignal) so a slow response never overwrites a
+ * newer one. Sorting or filtering goes back to the first page, and filter
+ * typing is debounced.
+ *
+ * `fetchData({ page, pageSize, sort, filters, signal })` must resolve to
+ * `{ data, totalItems }`.
+ *
+ * @example
+ * const remote = useRemoteTable({
+ *   fetchData: ({ page, pageSize, sort, filters, signal }) =>
+ *     api.listSessions({ page, pageSize, sort, filters }, { signal }),
+ *   defaultPageSize: 25,
+ * });
+ *
+ * <Table.Simple columns={columns} {...remote.tableProps} />
+ * <Pagination {...remote.paginationProps} />
+ */
+import { useState, useRef, useEffect, useCallback } from 'react';
+
+const isAbortError = (err) => err?.name === 'AbortError';
+
+/**
+ * @param {Object} options
+ * @param {function} options.fetchData - ({ page, pageSize, sort, filters, signal }) => Promise<{ data, totalItems }>
+ * @param {number} options.defaultPage - Initial page, 1-based (default: 1)
+ * @param {number} options.defaultPageSize - Initial page size (default: 25)
+ * @param {Array} options.defaultSort - Initial sort state
+ * @param {Object} options.defaultFilters - Initial filter values
+ * @param {number} options.filterDebounce - Delay in ms before filter changes are fetched (default: 300)
+ * @returns {Object} Data, request status, state setters and ready-made `tableProps`/`paginationProps`
+ */
+export function useRemoteTable({
+  fetchData,
+  defaultPage = 1,
+  defaultPageSize = 25,
+  defaultSort = [],
+  defaultFilters = {},
+  filterDebounce = 300,
+}) {
+  const [page, setPage] = useState(defaultPage);
+  const [pageSize, setPageSizeState] = useState(defaultPageSize);
+  const [sort, setSortState] = useState(defaultSort);
+  const [filters, setFiltersState] = useState(defaultFilters);
+  const [queryFilters, setQueryFilters] = useState(defaultFilters);
+  const [reloadToken, setReloadToken] = useState(0);
+  const [result, setResult] = useState({ data: [], totalItems: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Inline fetchData functions change every render - always call the latest one
+  const fetchDataRef = useRef(fetchData);
+  fetchDataRef.current = fetchData;
+  const controllerRef = useRef(null);
+
+  // Filters update immediately (for the inputs) but are queried after a pause
+  useEffect(() => {
+    if (filters === queryFilters) return undefined;
+    const timer = setTimeout(() => {
+      setQueryFilters(filters);
+      setPage(1);
+    }, filterDebounce);
+    return () => clearTimeout(timer);
+  }, [filters, queryFilters, filterDebounce]);
+
+  useEffect(() => {
+    controllerRef.current?.abort();
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    controllerRef.current = controller;
+    let stale = false;
+
+    setLoading(true);
+    setError(null);
+
+    Promise.resolve()
+      .then(() => fetchDataRef.current({
+        page,
+        pageSize,
+        sort,
+        filters: queryFilters,
+        signal: controller?.signal,
+      }))
+      .then((response) => {
+        if (stale) return;
+        const { data = [], totalItems = 0 } = response || {};
+        setResult({ data, totalItems });
+        setLoading(false);
+
+        // The result set shrank below the current page - go to the last page
+        const lastPage = Math.max(1, Math.ceil(totalItems / pageSize));
+        if (page > lastPage) setPage(lastPage);
+      })
+      .catch((err) => {
+        if (stale || isAbortError(err)) return;
+        setResult({ data: [], totalItems: 0 });
+        setError(err || new Error('Request failed'));
+        setLoading(false);
+      });
+
+    // A newer request (or unmount) makes this one stale, even if fetchData ignores the signal
+    return () => {
+      stale = true;
+      controller?.abort();
+    };
+  }, [page, pageSize, sort, queryFilters, reloadToken]);
+
+  const setSort = useCallback((next) => {
+    setSortState(next);
+    setPage(1);
+  }, []);
+
+  const setFilters = useCallback((next) => {
+    setFiltersState(next);
+  }, []);
+
+  const setPageSize = useCallback((next) => {
+    setPageSizeState(next);
+    setPage(1);
+  }, []);
+
+  const reload = useCallback(() => {
+    setReloadToken((token) => token + 1);
+  }, []);
+
+  const { data, totalItems } = result;
+  const totalPages = Math.max(1, Math.ceil(totalItems / pageSize));
+
+  return {
+    data,
+    totalItems,
+    totalPages,
+    loading,
+    error,
+    page,
+    pageSize,
+    sort,
+    filters,
+    setPage,
+    setPageSize,
+    setSort,
+    setFilters,
+    reload,
+    tableProps: {
+      manual: true,
+      data,
+      loading,
+      // Keep the layout steady: as many placeholders as rows currently shown
+      loadingRows: data.length || Math.min(pageSize, 10),
+      sort,
+      onSortChange: setSort,
+      filters,
+      onFiltersChange: setFilters,
+    },
+    paginationProps: {
+      currentPage: page,
+      totalPages,
+      totalItems,
+      itemsPerPage: pageSize,
+      onPageChange: setPage,
+      onItemsPerPageChange: setPageSize,
+    },
+  };
+}
+
+export default useRemoteTable;
@@ -0,0 +1,12 @@
+/**
+ * useIsomorphicLayoutEffect Hook
+ *
+ * `useLayoutEffect` in the browser, `useEffect` during server rendering
+ * (where useLayoutEffect warns and never runs anyway). Use it for effects
+ * that measure or focus before paint.
+ */
+import { useEffect, useLayoutEffect } from 'react';
+
+export const useIsomorphicLayoutEffect = typeof window !== 'undefined' ? useLayoutEffect : useEffect;
+
+export default useIsomorphicLayoutEffect;
@@ -0,0 +1,206 @@
+/**
+ * useVirtualRows Hook
+ *
+ * Windowing for long lists (Table rows, Select options): works out which
+ * rows intersect the scroll container's viewport and how much space the
+ * skipped rows would occupy.
+ * Supports a fixed `rowHeight`, or measures rendered rows (matched by their
+ * `data-index` attribute) and falls back to `estimatedRowHeight` for rows
+ * that have not been rendered yet.
+ *
+ * @example
+ * const wrapperRef = useRef(null);
+ * const { range, paddingTop, paddingBottom } = useVirtualRows({
+ *   count: rows.length,
+ *   getKey: (index) => rows[index].key,
+ *   scrollRef: wrapperRef,
+ *   rowHeight: 44,
+ * });
+ */
+import { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { useIsomorphicLayoutEffect } from './useIsomorphicLayoutEffect.js';
+
+/**
+ * Find the first row whose bottom edge is below `offset`
+ */
+const findIndexAt = (offsets, offset) => {
+  let low = 0;
+  let high = offsets.length - 2;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (offsets[mid + 1] <= offset) {
+      low = mid + 1;
+    } else if (offsets[mid] > offset) {
+      high = mid - 1;
+    } else {
+      return mid;
+    }
+  }
+
+  return Math.max(0, Math.min(low, offsets.length - 2));
+};
+
+/**
+ * @param {Object} options
+ * @param {number} options.count - Total number of rows
+ * @param {function} options.getKey - (index) => stable row key, used to cache measurements
+ * @param {Object} options.scrollRef - Ref to the scrolling container
+ * @param {boolean} options.enabled - Turn windowing on/off (default: true)
+ * @param {number} options.rowHeight - Fixed row height in px (skips measuring)
+ * @param {number} options.estimatedRowHeight - Height assumed for unmeasured rows
+ * @param {number} options.overscan - Extra rows rendered above and below the viewport
+ * @returns {Object} { range: { start, end }, paddingTop, paddingBottom, totalHeight, getOffset, scrollToIndex }
+ */
+export function useVirtualRows({
+  count,
+  getKey,
+  scrollRef,
+  enabled = true,
+  rowHeight,
+  estimatedRowHeight = 44,
+  overscan = 5,
+}) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [measureVersion, setMeasureVersion] = useState(0);
+  const measuredRef = useRef(new Map());
+
+  const getKeyRef = useRef(getKey);
+  getKeyRef.current = getKey;
+
+  // Track scroll position and viewport size of the container
+  useEffect(() => {
+    const node = scrollRef.current;
+    if (!enabled || !node) return undefined;
+
+    const sync = () => {
+      setScrollTop(node.scrollTop);
+      setViewportHeight(node.clientHeight);
+    };
+
+    sync();
+    node.addEventListener('scroll', sync, { passive: true });
+
+    let observer;
+    if (typeof ResizeObserver !== 'undefined') {
+      observer = new ResizeObserver(sync);
+      observer.observe(node);
+    } else {
+      window.addEventListener('resize', sync);
+    }
+
+    return () => {
+      node.removeEventListener('scroll', sync);
+      if (observer) {
+        observer.disconnect();
+      } else {
+        window.removeEventListener('resize', sync);
+      }
+    };
+  }, [enabled, scrollRef]);
+
+  // The browser may clamp scrollTop when rows are replaced - re-read it
+  useIsomorphicLayoutEffect(() => {
+    if (enabled && scrollRef.current) {
+      setScrollTop(scrollRef.current.scrollTop);
+    }
+  }, [enabled, count, scrollRef]);
+
+  // Measure rendered rows after every commit when heights are dynamic
+  useIsomorphicLayoutEffect(() => {
+    if (!enabled || rowHeight || !scrollRef.current) return;
+
+    let changed = false;
+    scrollRef.current.querySelectorAll('tr[data-index]').forEach((node) => {
+      const index = Number(node.getAttribute('data-index'));
+      if (index >= count) return;
+      const key = getKeyRef.current(index);
+      const height = node.getBoundingClientRect().height;
+      if (height > 0 && Math.abs((measuredRef.current.get(key) || 0) - height) > 0.5) {
+        measuredRef.current.set(key, height);
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      setMeasureVersion((version) => version + 1);
+    }
+  });
+
+  // Cumulative row offsets - offsets[i] is the top of row i, offsets[count] the total.
+  // measureVersion invalidates the cache when new measurements arrive.
+  const offsets = useMemo(() => {
+    if (!enabled || rowHeight) return null;
+
+    const result = new Array(count + 1);
+    result[0] = 0;
+    for (let i = 0; i < count; i++) {
+      const measured = measuredRef.current.get(getKeyRef.current(i));
+      result[i + 1] = result[i] + (measured || estimatedRowHeight);
+    }
+    return result;
+  }, [enabled, rowHeight, count, estimatedRowHeight, measureVersion, getKey]);
+
+  const getOffset = useCallback(
+    (index) => (rowHeight ? index * rowHeight : offsets ? offsets[index] : 0),
+    [rowHeight, offsets]
+  );
+
+  // Scroll the least distance that shows a whole row. The window is updated in
+  // the same commit, so the row exists in the DOM right away (e.g. for focus
+  // or aria-activedescendant) instead of after the next scroll event.
+  const scrollToIndex = useCallback((index) => {
+    const node = scrollRef.current;
+    if (!enabled || !node || index < 0 || index >= count) return;
+
+    const top = getOffset(index);
+    const bottom = getOffset(index + 1);
+    let next = node.scrollTop;
+    if (top < next) {
+      next = top;
+    } else if (bottom > next + node.clientHeight) {
+      next = bottom - node.clientHeight;
+    }
+
+    if (next !== node.scrollTop) {
+      node.scrollTop = next;
+      setScrollTop(next);
+    }
+  }, [enabled, scrollRef, count, getOffset]);
+
+  if (!enabled) {
+    return { range: { start: 0, end: count }, paddingTop: 0, paddingBottom: 0, totalHeight: 0, getOffset, scrollToIndex };
+  }
+
+  const totalHeight = getOffset(count);
+  // Render at least one screenful before the container has been measured
+  const viewport = viewportHeight || estimatedRowHeight * 20;
+
+  let start;
+  let end;
+  if (count === 0) {
+    start = 0;
+    end = 0;
+  } else if (rowHeight) {
+    start = Math.floor(scrollTop / rowHeight);
+    end = Math.ceil((scrollTop + viewport) / rowHeight);
+  } else {
+    start = findIndexAt(offsets, scrollTop);
+    end = findIndexAt(offsets, scrollTop + viewport) + 1;
+  }
+
+  start = Math.max(0, start - overscan);
+  end = Math.min(count, end + overscan);
+
+  return {
+    range: { start, end },
+    paddingTop: getOffset(start),
+    paddingBottom: totalHeight - getOffset(end),
+    totalHeight,
+    getOffset,
+    scrollToIndex,
+  };
+}
+
+export default useVirtualRows;
@@ -2,10 +2,13 @@ export { default as Button } from './Button/Button.jsx';
 export { default as Card, CardHeader, CardBody, CardFooter } from './Card/Card.jsx';
 export { default as Input } from './Input/Input.jsx';
 export { default as Select } from './Select/Select.jsx';
+export { fuzzyMatch } from './Select/fuzzyMatch.js';
 export { default as Switch } from './Switch/Switch.jsx';
 export { default as Avatar } from './Avatar/Avatar.jsx';
 export { default as Badge } from './Badge/Badge.jsx';
 export { default as Modal, ModalHeader, ModalBody, ModalFooter } from './Modal/Modal.jsx';
+export { useFocusTrap } from './Modal/useFocusTrap.js';
+export { useModalStack } from './Modal/useModalStack.js';
 export { default as Tooltip } from './Tooltip/Tooltip.jsx';
 export { default as Toast } from './Toast/Toast.jsx';
 export { default as ToastContainer } from './Toast/ToastContainer.jsx';
@@ -28,8 +31,12 @@ export { default as EmptyState } from './EmptyState/EmptyState.jsx';
 export { default as Alert } from './Alert/Alert.jsx';
 export { default as Timeline } from './Timeline/Timeline.jsx';
 export { default as Table } from './Table/Table.jsx';
+export { exportTable, downloadTable, serializeRows } from './Table/exportTable.js';
+export { useRemoteTable } from './Table/useRemoteTable.js';
 export { default as Pagination } from './Pagination/Pagination.jsx';
 export { default as Menu } from './Menu/Menu.jsx';
+export { default as Portal } from './Portal/Portal.jsx';
+export { usePosition } from './Portal/usePosition.js';
 export { default as Slider } from './Slider/Slider.jsx';
 
 // New components